@@ -0,0 +1,15 @@
+// Build manifest for the service worker.
+// Regenerated on deploy: bump `version` for every release so the worker
+// picks up a new app cache and the page can offer the update.
+self.BUILD_MANIFEST = {
+  version: '1.2.0',
+  precache: [
+    './',
+    'index.html',
+    'styles.css',
+    'locales.js',
+    'script.js',
+    'products.json',
+    'offline.html'
+  ]
+};
@@ -0,0 +1,1307 @@
+// ===== TRANSLATIONS =====
+// One bundle per language. Missing keys fall back to English. Values may use
+// `{name}` placeholders, and plural strings are objects keyed by
+// Intl.PluralRules category (`one`, `other`, ...).
+const translations = {
+  en: {
+    'meta.title': 'Nox - Premium Footwear',
+    'meta.description': 'Discover premium footwear at Nox. Quality shoes for every step of your journey.',
+    'loading.text': 'Loading Nox...',
+
+    'nav.main': 'Main navigation',
+    'nav.brand': 'Nox Home',
+    'nav.home': 'Home',
+    'nav.products': 'Products',
+    'nav.about': 'About',
+    'nav.contact': 'Contact',
+    'nav.wishlist': 'Wishlist',
+    'nav.orders': 'Your orders',
+    'nav.cart': 'Shopping cart',
+    'nav.menu': 'Toggle mobile menu',
+    'nav.language': 'Language',
+    'nav.currency': 'Currency',
+
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.contrast': 'High contrast',
+    'theme.auto': 'System ({theme})',
+    'theme.switch': 'Theme: {current}. Switch to {next}',
+    'theme.changed': 'Theme: {name}',
+
+    'hero.titleLead': 'Step into',
+    'hero.titleHighlight': 'Excellence',
+    'hero.description': 'Discover premium footwear crafted for the modern lifestyle. Quality, comfort, and style in every step.',
+    'hero.shop': 'Shop Collection',
+    'hero.learnMore': 'Learn More',
+    'hero.imageAlt': 'Premium running shoe in black and white',
+
+    'products.title': 'Featured Collection',
+    'products.description': 'Handpicked selections of our finest footwear',
+    'products.loadMore': 'Load More Products',
+    'products.loading': 'Loading...',
+    'products.loadError': 'Failed to load products. Please try again.',
+    'recent.title': 'Recently Viewed',
+    'recent.clear': 'Clear',
+    'recent.clearLabel': 'Clear recently viewed products',
+    'recommend.title': 'You May Also Like',
+    'recommend.cartTitle': 'Goes Well With Your Cart',
+    'compare.add': 'Compare',
+    'compare.trayTitle': 'Products to compare',
+    'compare.hint': 'Pick at least two products to compare.',
+    'compare.clear': 'Clear',
+    'compare.open': 'Compare ({count})',
+    'compare.full': 'You can compare up to {count} products at a time.',
+    'compare.remove': 'Remove {name} from comparison',
+    'compare.title': 'Compare Products',
+    'compare.close': 'Close comparison',
+    'compare.legend': 'Highlighted rows differ between the products.',
+    'compare.differs': 'differs',
+    'compare.price': 'Price',
+    'compare.category': 'Category',
+    'compare.badge': 'Badge',
+    'compare.weight': 'Weight',
+    'compare.drop': 'Heel-to-toe drop',
+    'compare.material': 'Material',
+    'compare.waterproof': 'Waterproof',
+    'compare.yes': 'Yes',
+    'compare.no': 'No',
+
+    'filters.label': 'Filter products',
+    'filters.search': 'Search products',
+    'filters.searchPlaceholder': 'Search shoes...',
+    'filters.sort': 'Sort products',
+    'filters.categories': 'Categories',
+    'filters.priceRange': 'Price range',
+    'filters.minPrice': 'Minimum price',
+    'filters.maxPrice': 'Maximum price',
+    'filters.minPlaceholder': 'Min {currency}',
+    'filters.maxPlaceholder': 'Max {currency}',
+    'filters.results': 'Showing {shown} of {loaded} loaded products',
+    'filters.empty': 'No products match your filters.',
+    'filters.clear': 'Clear Filters',
+
+    'sort.featured': 'Featured',
+    'sort.newest': 'Newest',
+    'sort.priceAsc': 'Price: Low to High',
+    'sort.priceDesc': 'Price: High to Low',
+    'sort.nameAsc': 'Name: A to Z',
+    'sort.nameDesc': 'Name: Z to A',
+
+    'category.all': 'All',
+    'category.running': 'Running',
+    'category.casual': 'Casual',
+    'category.hiking': 'Hiking',
+    'category.dress': 'Dress',
+    'category.sports': 'Sports',
+
+    'product.addToFavorites': 'Add to favorites',
+    'product.removeFromFavorites': 'Remove from favorites',
+    'product.addToCart': 'Add to cart',
+    'product.addToCartButton': 'Add to Cart',
+    'product.added': '{name} added to cart',
+    'product.close': 'Close product details',
+    'product.images': 'Product images',
+    'product.showImage': 'Show image {index} of {total}',
+    'product.color': 'Color:',
+    'product.size': 'Size (US)',
+    'product.sizeValue': 'Size {size}',
+    'product.width': 'Width',
+    'product.selectSize': 'Please select a size.',
+    'product.unavailable': 'This product is no longer available.',
+
+    'stock.low': 'Only {count} left',
+    'stock.sizeLow': 'Only {count} left in this size',
+    'stock.soldOut': 'Sold out',
+    'stock.limit': {
+      one: 'Only 1 {name} is available.',
+      other: 'Only {count} of {name} are available.'
+    },
+    'stock.reduced': '{name} is running low, so your cart now has {count}.',
+    'stock.removed': '{name} has sold out.',
+
+    'cart.title': 'Your Cart',
+    'cart.close': 'Close cart',
+    'cart.items': 'Cart items',
+    'cart.empty': 'Your cart is empty.',
+    'cart.continue': 'Continue Shopping',
+    'cart.subtotal': 'Subtotal',
+    'cart.clear': 'Clear Cart',
+    'cart.checkout': 'Checkout',
+    'cart.each': '{price} each',
+    'cart.decrease': 'Decrease quantity of {name}',
+    'cart.increase': 'Increase quantity of {name}',
+    'cart.quantity': 'Quantity of {name}',
+    'cart.remove': 'Remove',
+    'cart.removeLabel': 'Remove {name} from cart',
+    'cart.removed': '{name} removed from cart',
+    'cart.cleared': 'Cart cleared',
+    'cart.total': 'Total',
+    'cart.unknownItem': 'Item {sku}',
+    'cart.unavailable': 'No longer available',
+    'cart.discontinued': '{name} is no longer available.',
+    'cart.priceChanged': 'The price of {name} changed from {from} to {to}.',
+    'cart.priceWas': 'Price updated, was {price}',
+    'cart.reviewChanges': 'Your cart has changed since you added these items. Please review it before checking out.',
+
+    'promo.label': 'Promo code',
+    'promo.apply': 'Apply',
+    'promo.remove': 'Remove code {code}',
+    'promo.applied': 'Code {code} applied',
+    'promo.invalid': 'That code isn\'t valid.',
+    'promo.expired': 'Code {code} has expired.',
+    'promo.minSpend': 'Spend {amount} or more to use {code}.',
+    'promo.percent': '{percent}% off',
+    'promo.categoryPercent': '{percent}% off {category}',
+    'promo.fixed': '{amount} off',
+    'promo.bogo': 'Buy one, get one free',
+    'promo.categoryBogo': 'Buy one, get one free: {category}',
+    'promo.codeLine': '{code}: {label}',
+
+    'wishlist.title': 'Your Wishlist',
+    'wishlist.close': 'Close wishlist',
+    'wishlist.items': 'Wishlist items',
+    'wishlist.empty': 'Your wishlist is empty. Tap ♥ on any product to save it for later.',
+    'wishlist.moveToCart': 'Move to Cart',
+    'wishlist.removeLabel': 'Remove {name} from wishlist',
+    'wishlist.added': '{name} added to favorites',
+    'wishlist.removed': '{name} removed from favorites',
+
+    'checkout.title': 'Checkout',
+    'checkout.close': 'Close checkout',
+    'checkout.step.shipping': 'Shipping',
+    'checkout.step.method': 'Delivery',
+    'checkout.step.payment': 'Payment',
+    'checkout.step.review': 'Review',
+    'checkout.shippingAddress': 'Shipping address',
+    'checkout.selectCountry': 'Select a country',
+    'checkout.shippingMethod': 'Shipping method',
+    'checkout.payment': 'Payment',
+    'checkout.review': 'Review your order',
+    'checkout.back': 'Back',
+    'checkout.continue': 'Continue',
+    'checkout.placeOrder': 'Place Order',
+    'checkout.processing': 'Processing...',
+    'checkout.free': 'Free',
+    'checkout.subtotal': 'Subtotal',
+    'checkout.shipping': 'Shipping',
+    'checkout.tax': 'Tax',
+    'checkout.total': 'Total',
+    'checkout.shipTo': 'Ship to',
+    'checkout.delivery': 'Delivery',
+    'checkout.cardEnding': 'Card ending in {digits}',
+    'checkout.emptyCart': 'Your cart is empty.',
+    'checkout.pricesChanged': 'Your cart changed while you were checking out. Please review the updated total.',
+    'checkout.failed': 'Payment could not be processed. Please try again.',
+    'checkout.confirmed': 'Order {number} confirmed!',
+    'checkout.thankYou': 'Thank you for your order!',
+    'checkout.orderNumber': 'Your order number is {number}.',
+    'checkout.confirmationSent': 'A confirmation has been sent to {email}.',
+
+    'shipping.standard': 'Standard',
+    'shipping.standard.description': '5-7 business days',
+    'shipping.express': 'Express',
+    'shipping.express.description': '2-3 business days',
+    'shipping.overnight': 'Overnight',
+    'shipping.overnight.description': 'Next business day',
+
+    'payment.declined': 'Your card was declined. Please use a different card.',
+
+    'field.name': 'Name',
+    'field.email': 'Email',
+    'field.message': 'Message',
+    'field.fullName': 'Full name',
+    'field.address': 'Street address',
+    'field.city': 'City',
+    'field.postalCode': 'Postal code',
+    'field.country': 'Country',
+    'field.cardName': 'Name on card',
+    'field.cardNumber': 'Card number',
+    'field.cardExpiry': 'Expiry date',
+    'field.cardExpiryShort': 'Expiry',
+    'field.cardCvc': 'Security code',
+    'field.cardCvcShort': 'CVC',
+    'field.cardExpiryPlaceholder': 'MM/YY',
+    'field.rating': 'Rating',
+    'field.author': 'Your name',
+    'field.title': 'Title',
+    'field.body': 'Review',
+    'field.sku': 'SKU',
+    'field.description': 'Description',
+    'field.price': 'Price (USD)',
+    'field.image': 'Image URL',
+    'field.badge': 'Badge',
+    'field.category': 'Category',
+    'field.sizes': 'Sizes',
+    'field.stock': 'Stock',
+    'field.passcode': 'Passcode',
+    'field.id': 'ID',
+
+    'validation.required': '{field} is required.',
+    'validation.email': 'Please enter a valid email address.',
+    'validation.minLength': '{field} must be at least {min} characters long.',
+    'validation.postalCode': 'Please enter a valid postal code.',
+    'validation.cardNumber': 'Please enter a valid card number.',
+    'validation.cardExpiry': 'Please enter a valid expiry date (MM/YY).',
+    'validation.cardCvc': 'Please enter a valid security code.',
+    'validation.maxLength': '{field} can be at most {max} characters long.',
+    'validation.price': 'Please enter a price greater than zero.',
+    'validation.image': 'Please enter a web address (http or https) or a path for the image.',
+    'validation.category': 'Please choose one of these categories: {categories}.',
+    'validation.sku': 'SKUs can only contain letters, numbers and dashes.',
+    'validation.skuTaken': 'Another product already uses this SKU.',
+    'validation.id': 'IDs can only contain lowercase letters, numbers and dashes.',
+    'validation.stock': 'Enter a single number or size:count pairs, like 8:4 9:2.',
+    'validation.stockSize': 'Size {size} has stock but isn\'t one of the product\'s sizes.',
+    'validation.longDescription': 'The long description must be text.',
+    'validation.addedAt': 'The date added must look like 2024-09-02.',
+    'validation.images': 'Images must be a list of web addresses (http or https) or paths.',
+    'validation.widths': 'Widths must be a list of names, like "Regular" and "Wide".',
+    'validation.colors': 'Colors must be a list of entries with a name and a hex color such as #111827.',
+    'validation.specs': 'Specs must be an object whose values are numbers, text or true/false.',
+    'validation.fixErrors': 'Please fix the errors and try again.',
+
+    'contact.title': 'Get in Touch',
+    'contact.description': 'Have questions about our products? We\'re here to help.',
+    'contact.email': 'Email',
+    'contact.phone': 'Phone',
+    'contact.address': 'Address',
+    'contact.send': 'Send Message',
+    'contact.sending': 'Sending...',
+    'contact.sent': 'Message sent successfully! We\'ll get back to you soon.',
+    'contact.failed': 'Failed to send message. Please try again.',
+    'contact.queued': 'You\'re offline. Your message will be sent as soon as you\'re back online.',
+    'contact.delivered': {
+      one: 'Your queued message has been delivered.',
+      other: '{count} queued messages have been delivered.'
+    },
+    'contact.dropped': {
+      one: 'A queued message was refused by the server and wasn\'t sent. Please send it again.',
+      other: '{count} queued messages were refused by the server and weren\'t sent. Please send them again.'
+    },
+
+    'reviews.title': 'Reviews',
+    'reviews.rated': 'Rated {rating} out of 5',
+    'reviews.count': {
+      one: '{count} review',
+      other: '{count} reviews'
+    },
+    'reviews.stars': {
+      one: '{count} star',
+      other: '{count} stars'
+    },
+    'reviews.none': 'No reviews yet',
+    'reviews.empty': 'No reviews yet. Be the first to share your thoughts.',
+    'reviews.loadError': 'Reviews couldn\'t be loaded right now.',
+    'reviews.sort': 'Sort reviews',
+    'reviews.sort.newest': 'Newest',
+    'reviews.sort.highest': 'Highest rated',
+    'reviews.sort.lowest': 'Lowest rated',
+    'reviews.sort.verified': 'Verified purchases first',
+    'reviews.by': 'By {author} on {date}',
+    'reviews.verified': 'Verified purchase',
+    'reviews.write': 'Write a Review',
+    'reviews.cancel': 'Cancel',
+    'reviews.submit': 'Post Review',
+    'reviews.posting': 'Posting...',
+    'reviews.posted': 'Thanks! Your review has been posted.',
+    'reviews.failed': 'We couldn\'t post your review. Please try again.',
+
+    'admin.title': 'Catalog Editor',
+    'admin.close': 'Close catalog editor',
+    'admin.lockText': 'Enter the passcode to edit the catalog.',
+    'admin.unlock': 'Unlock',
+    'admin.wrongPasscode': 'That passcode isn\'t right.',
+    'admin.lockUnavailable': 'The passcode can\'t be checked here. Open the shop over https or from localhost.',
+    'admin.new': 'New Product',
+    'admin.import': 'Import CSV/JSON',
+    'admin.exportCsv': 'Export CSV',
+    'admin.exportJson': 'Export JSON',
+    'admin.publish': 'Show this catalog in the shop',
+    'admin.published': 'The shop now shows the edited catalog in this browser.',
+    'admin.unpublished': 'The shop is back to its standard catalog.',
+    'admin.empty': 'The catalog is empty. Add a product or import a file.',
+    'admin.list': 'Products in display order',
+    'admin.moveUp': 'Move {name} up',
+    'admin.moveDown': 'Move {name} down',
+    'admin.edit': 'Edit',
+    'admin.editLabel': 'Edit {name}',
+    'admin.delete': 'Delete',
+    'admin.deleteLabel': 'Delete {name}',
+    'admin.deleted': '{name} was deleted.',
+    'admin.saved': '{name} was saved.',
+    'admin.saveError': 'The catalog couldn\'t be saved. Please try again.',
+    'admin.loadError': 'The catalog couldn\'t be loaded.',
+    'admin.newTitle': 'New Product',
+    'admin.editTitle': 'Edit Product',
+    'admin.cancel': 'Cancel',
+    'admin.save': 'Save Product',
+    'admin.chooseCategory': 'Choose a category',
+    'admin.sizesHint': 'Separate sizes with spaces, e.g. 8 8.5 9.',
+    'admin.stockHint': 'Leave empty for unlimited stock, enter one number, or give a count per size like 8:4 9:2.',
+    'admin.unlimited': 'Unlimited stock',
+    'admin.inStock': {
+      one: '{count} in stock',
+      other: '{count} in stock'
+    },
+    'admin.imported': {
+      one: '{count} product imported.',
+      other: '{count} products imported.'
+    },
+    'admin.importProblems': {
+      one: '{count} row was skipped:',
+      other: '{count} rows were skipped:'
+    },
+    'admin.importRow': 'Row {row}: {errors}',
+    'admin.importItem': 'Item {row}: {errors}',
+    'admin.importUnreadable': '{file} couldn\'t be read. Use a CSV file with a header row or a JSON array of products.',
+
+    'about.title': 'Crafting Excellence Since Day One',
+    'about.description': 'At Nox, we believe that great shoes are more than just footwear – they\'re a statement of quality, comfort, and style. Every pair is meticulously crafted using premium materials and innovative design.',
+    'about.quality': 'Premium Quality',
+    'about.qualityText': 'Only the finest materials make it into our shoes',
+    'about.fit': 'Perfect Fit',
+    'about.fitText': 'Engineered for comfort and performance',
+    'about.sustainable': 'Sustainable',
+    'about.sustainableText': 'Committed to environmentally responsible practices',
+    'about.imageAlt': 'Crafting process of premium shoes',
+
+    'footer.description': 'Premium footwear for the modern lifestyle.',
+    'footer.products': 'Products',
+    'footer.running': 'Running Shoes',
+    'footer.casual': 'Casual Shoes',
+    'footer.dress': 'Dress Shoes',
+    'footer.boots': 'Boots',
+    'footer.support': 'Support',
+    'footer.sizeGuide': 'Size Guide',
+    'footer.returns': 'Returns',
+    'footer.shipping': 'Shipping',
+    'footer.faq': 'FAQ',
+    'footer.company': 'Company',
+    'footer.aboutUs': 'About Us',
+    'footer.careers': 'Careers',
+    'footer.press': 'Press',
+    'footer.contact': 'Contact',
+    'footer.copyright': '© 2024 Nox. All rights reserved.',
+
+    'notFound.title': 'Page not found',
+    'notFound.text': 'The page you\'re looking for doesn\'t exist or may have moved.',
+    'notFound.home': 'Back to Shop',
+
+    'orders.title': 'Your Orders',
+    'orders.close': 'Close order history',
+    'orders.note': 'Orders placed on this device.',
+    'orders.empty': 'You haven\'t placed any orders on this device yet.',
+    'orders.number': 'Order {number}',
+    'orders.status.confirmed': 'Confirmed',
+    'orders.itemCount': {
+      one: '{count} item',
+      other: '{count} items'
+    },
+    'orders.viewReceipt': 'View Receipt',
+    'orders.reorder': 'Reorder',
+    'orders.reordered': 'Items from order {number} are back in your cart at today\'s prices.',
+    'orders.reorderFailed': 'Today\'s prices couldn\'t be checked, so nothing was added. Please try again when you\'re online.',
+    'orders.saveError': 'Your order was placed, but it couldn\'t be added to your order history.',
+    'orders.loadError': 'Your orders couldn\'t be loaded.',
+    'orders.receipt': 'Receipt',
+    'orders.closeReceipt': 'Close receipt',
+    'orders.all': 'All Orders',
+    'orders.print': 'Print Receipt',
+    'orders.transaction': 'Transaction {id}',
+    'orders.item': 'Item',
+    'orders.quantity': 'Qty',
+    'orders.price': 'Price',
+    'orders.lineTotal': 'Total',
+    'orders.receiptNote': 'A confirmation was sent to {email}. Thank you for shopping with Nox.',
+
+    'toast.success': 'Success',
+    'toast.error': 'Error',
+    'toast.warning': 'Warning',
+    'toast.info': 'Info',
+    'toast.default': 'Notification',
+    'toast.close': 'Close notification',
+    'toast.undo': 'Undo',
+
+    'error.generic': 'Something went wrong. Please refresh the page.',
+    'error.network': 'A network error occurred. Please check your connection.',
+    'error.image': 'Image failed to load',
+
+    'update.available': 'A new version of Nox is available.',
+    'update.reload': 'Reload'
+  },
+
+  es: {
+    'meta.title': 'Nox - Calzado premium',
+    'meta.description': 'Descubre el calzado premium de Nox. Zapatos de calidad para cada paso de tu camino.',
+    'loading.text': 'Cargando Nox...',
+
+    'nav.main': 'Navegación principal',
+    'nav.brand': 'Inicio de Nox',
+    'nav.home': 'Inicio',
+    'nav.products': 'Productos',
+    'nav.about': 'Nosotros',
+    'nav.contact': 'Contacto',
+    'nav.wishlist': 'Favoritos',
+    'nav.orders': 'Tus pedidos',
+    'nav.cart': 'Carrito de compra',
+    'nav.menu': 'Abrir o cerrar el menú',
+    'nav.language': 'Idioma',
+    'nav.currency': 'Moneda',
+
+    'theme.light': 'Claro',
+    'theme.dark': 'Oscuro',
+    'theme.contrast': 'Alto contraste',
+    'theme.auto': 'Sistema ({theme})',
+    'theme.switch': 'Tema: {current}. Cambiar a {next}',
+    'theme.changed': 'Tema: {name}',
+
+    'hero.titleLead': 'Da el paso hacia la',
+    'hero.titleHighlight': 'excelencia',
+    'hero.description': 'Descubre calzado premium creado para el estilo de vida moderno. Calidad, comodidad y estilo en cada paso.',
+    'hero.shop': 'Ver colección',
+    'hero.learnMore': 'Saber más',
+    'hero.imageAlt': 'Zapatilla de running premium en blanco y negro',
+
+    'products.title': 'Colección destacada',
+    'products.description': 'Una selección de nuestro mejor calzado',
+    'products.loadMore': 'Cargar más productos',
+    'products.loading': 'Cargando...',
+    'products.loadError': 'No se pudieron cargar los productos. Inténtalo de nuevo.',
+    'recent.title': 'Vistos recientemente',
+    'recent.clear': 'Borrar',
+    'recent.clearLabel': 'Borrar productos vistos recientemente',
+    'recommend.title': 'También te puede gustar',
+    'recommend.cartTitle': 'Combina con tu carrito',
+    'compare.add': 'Comparar',
+    'compare.trayTitle': 'Productos para comparar',
+    'compare.hint': 'Elige al menos dos productos para comparar.',
+    'compare.clear': 'Borrar',
+    'compare.open': 'Comparar ({count})',
+    'compare.full': 'Puedes comparar hasta {count} productos a la vez.',
+    'compare.remove': 'Quitar {name} de la comparación',
+    'compare.title': 'Comparar productos',
+    'compare.close': 'Cerrar comparación',
+    'compare.legend': 'Las filas resaltadas difieren entre los productos.',
+    'compare.differs': 'difiere',
+    'compare.price': 'Precio',
+    'compare.category': 'Categoría',
+    'compare.badge': 'Distintivo',
+    'compare.weight': 'Peso',
+    'compare.drop': 'Drop talón-puntera',
+    'compare.material': 'Material',
+    'compare.waterproof': 'Impermeable',
+    'compare.yes': 'Sí',
+    'compare.no': 'No',
+
+    'filters.label': 'Filtrar productos',
+    'filters.search': 'Buscar productos',
+    'filters.searchPlaceholder': 'Buscar zapatos...',
+    'filters.sort': 'Ordenar productos',
+    'filters.categories': 'Categorías',
+    'filters.priceRange': 'Rango de precio',
+    'filters.minPrice': 'Precio mínimo',
+    'filters.maxPrice': 'Precio máximo',
+    'filters.minPlaceholder': 'Mín. {currency}',
+    'filters.maxPlaceholder': 'Máx. {currency}',
+    'filters.results': 'Mostrando {shown} de {loaded} productos cargados',
+    'filters.empty': 'Ningún producto coincide con tus filtros.',
+    'filters.clear': 'Borrar filtros',
+
+    'sort.featured': 'Destacados',
+    'sort.newest': 'Novedades',
+    'sort.priceAsc': 'Precio: de menor a mayor',
+    'sort.priceDesc': 'Precio: de mayor a menor',
+    'sort.nameAsc': 'Nombre: de la A a la Z',
+    'sort.nameDesc': 'Nombre: de la Z a la A',
+
+    'category.all': 'Todos',
+    'category.running': 'Running',
+    'category.casual': 'Casual',
+    'category.hiking': 'Montaña',
+    'category.dress': 'Vestir',
+    'category.sports': 'Deporte',
+
+    'product.addToFavorites': 'Añadir a favoritos',
+    'product.removeFromFavorites': 'Quitar de favoritos',
+    'product.addToCart': 'Añadir al carrito',
+    'product.addToCartButton': 'Añadir al carrito',
+    'product.added': '{name} añadido al carrito',
+    'product.close': 'Cerrar detalles del producto',
+    'product.images': 'Imágenes del producto',
+    'product.showImage': 'Mostrar imagen {index} de {total}',
+    'product.color': 'Color:',
+    'product.size': 'Talla (EE. UU.)',
+    'product.sizeValue': 'Talla {size}',
+    'product.width': 'Ancho',
+    'product.selectSize': 'Selecciona una talla.',
+    'product.unavailable': 'Este producto ya no está disponible.',
+
+    'stock.low': {
+      one: 'Solo queda {count}',
+      other: 'Solo quedan {count}'
+    },
+    'stock.sizeLow': {
+      one: 'Solo queda {count} en esta talla',
+      other: 'Solo quedan {count} en esta talla'
+    },
+    'stock.soldOut': 'Agotado',
+    'stock.limit': {
+      one: 'Solo hay 1 unidad disponible de {name}.',
+      other: 'Solo hay {count} unidades disponibles de {name}.'
+    },
+    'stock.reduced': 'Quedan pocas unidades de {name}; tu carrito ahora tiene {count}.',
+    'stock.removed': '{name} se ha agotado.',
+
+    'cart.title': 'Tu carrito',
+    'cart.close': 'Cerrar carrito',
+    'cart.items': 'Artículos del carrito',
+    'cart.empty': 'Tu carrito está vacío.',
+    'cart.continue': 'Seguir comprando',
+    'cart.subtotal': 'Subtotal',
+    'cart.clear': 'Vaciar carrito',
+    'cart.checkout': 'Finalizar compra',
+    'cart.each': '{price} cada uno',
+    'cart.decrease': 'Reducir la cantidad de {name}',
+    'cart.increase': 'Aumentar la cantidad de {name}',
+    'cart.quantity': 'Cantidad de {name}',
+    'cart.remove': 'Eliminar',
+    'cart.removeLabel': 'Eliminar {name} del carrito',
+    'cart.removed': '{name} eliminado del carrito',
+    'cart.cleared': 'Carrito vaciado',
+    'cart.total': 'Total',
+    'cart.unknownItem': 'Artículo {sku}',
+    'cart.unavailable': 'Ya no está disponible',
+    'cart.discontinued': '{name} ya no está disponible.',
+    'cart.priceChanged': 'El precio de {name} ha cambiado de {from} a {to}.',
+    'cart.priceWas': 'Precio actualizado, antes {price}',
+    'cart.reviewChanges': 'Tu carrito ha cambiado desde que añadiste estos artículos. Revísalo antes de finalizar la compra.',
+
+    'promo.label': 'Código promocional',
+    'promo.apply': 'Aplicar',
+    'promo.remove': 'Quitar el código {code}',
+    'promo.applied': 'Código {code} aplicado',
+    'promo.invalid': 'Ese código no es válido.',
+    'promo.expired': 'El código {code} ha caducado.',
+    'promo.minSpend': 'Gasta {amount} o más para usar {code}.',
+    'promo.percent': '{percent} % de descuento',
+    'promo.categoryPercent': '{percent} % de descuento en {category}',
+    'promo.fixed': '{amount} de descuento',
+    'promo.bogo': 'Compra uno y llévate otro gratis',
+    'promo.categoryBogo': 'Compra uno y llévate otro gratis: {category}',
+    'promo.codeLine': '{code}: {label}',
+
+    'wishlist.title': 'Tus favoritos',
+    'wishlist.close': 'Cerrar favoritos',
+    'wishlist.items': 'Artículos favoritos',
+    'wishlist.empty': 'Aún no tienes favoritos. Toca ♥ en cualquier producto para guardarlo.',
+    'wishlist.moveToCart': 'Mover al carrito',
+    'wishlist.removeLabel': 'Quitar {name} de favoritos',
+    'wishlist.added': '{name} añadido a favoritos',
+    'wishlist.removed': '{name} eliminado de favoritos',
+
+    'checkout.title': 'Finalizar compra',
+    'checkout.close': 'Cerrar pago',
+    'checkout.step.shipping': 'Envío',
+    'checkout.step.method': 'Entrega',
+    'checkout.step.payment': 'Pago',
+    'checkout.step.review': 'Revisión',
+    'checkout.shippingAddress': 'Dirección de envío',
+    'checkout.selectCountry': 'Selecciona un país',
+    'checkout.shippingMethod': 'Método de envío',
+    'checkout.payment': 'Pago',
+    'checkout.review': 'Revisa tu pedido',
+    'checkout.back': 'Atrás',
+    'checkout.continue': 'Continuar',
+    'checkout.placeOrder': 'Realizar pedido',
+    'checkout.processing': 'Procesando...',
+    'checkout.free': 'Gratis',
+    'checkout.subtotal': 'Subtotal',
+    'checkout.shipping': 'Envío',
+    'checkout.tax': 'Impuestos',
+    'checkout.total': 'Total',
+    'checkout.shipTo': 'Enviar a',
+    'checkout.delivery': 'Entrega',
+    'checkout.cardEnding': 'Tarjeta terminada en {digits}',
+    'checkout.emptyCart': 'Tu carrito está vacío.',
+    'checkout.pricesChanged': 'Tu carrito ha cambiado mientras finalizabas la compra. Revisa el total actualizado.',
+    'checkout.failed': 'No se pudo procesar el pago. Inténtalo de nuevo.',
+    'checkout.confirmed': '¡Pedido {number} confirmado!',
+    'checkout.thankYou': '¡Gracias por tu pedido!',
+    'checkout.orderNumber': 'Tu número de pedido es {number}.',
+    'checkout.confirmationSent': 'Hemos enviado una confirmación a {email}.',
+
+    'shipping.standard': 'Estándar',
+    'shipping.standard.description': '5-7 días hábiles',
+    'shipping.express': 'Exprés',
+    'shipping.express.description': '2-3 días hábiles',
+    'shipping.overnight': 'Urgente',
+    'shipping.overnight.description': 'Siguiente día hábil',
+
+    'payment.declined': 'Tu tarjeta ha sido rechazada. Usa otra tarjeta.',
+
+    'field.name': 'Nombre',
+    'field.email': 'Correo electrónico',
+    'field.message': 'Mensaje',
+    'field.fullName': 'Nombre completo',
+    'field.address': 'Dirección',
+    'field.city': 'Ciudad',
+    'field.postalCode': 'Código postal',
+    'field.country': 'País',
+    'field.cardName': 'Titular de la tarjeta',
+    'field.cardNumber': 'Número de tarjeta',
+    'field.cardExpiry': 'Fecha de caducidad',
+    'field.cardExpiryShort': 'Caducidad',
+    'field.cardCvc': 'Código de seguridad',
+    'field.cardCvcShort': 'CVC',
+    'field.cardExpiryPlaceholder': 'MM/AA',
+    'field.rating': 'Valoración',
+    'field.author': 'Tu nombre',
+    'field.title': 'Título',
+    'field.body': 'Reseña',
+    'field.sku': 'SKU',
+    'field.description': 'Descripción',
+    'field.price': 'Precio (USD)',
+    'field.image': 'URL de la imagen',
+    'field.badge': 'Etiqueta',
+    'field.category': 'Categoría',
+    'field.sizes': 'Tallas',
+    'field.stock': 'Existencias',
+    'field.passcode': 'Código de acceso',
+    'field.id': 'ID',
+
+    'validation.required': 'El campo {field} es obligatorio.',
+    'validation.email': 'Introduce un correo electrónico válido.',
+    'validation.minLength': 'El campo {field} debe tener al menos {min} caracteres.',
+    'validation.postalCode': 'Introduce un código postal válido.',
+    'validation.cardNumber': 'Introduce un número de tarjeta válido.',
+    'validation.cardExpiry': 'Introduce una fecha de caducidad válida (MM/AA).',
+    'validation.cardCvc': 'Introduce un código de seguridad válido.',
+    'validation.maxLength': 'El campo {field} puede tener como máximo {max} caracteres.',
+    'validation.price': 'Introduce un precio mayor que cero.',
+    'validation.image': 'Introduce una dirección web (http o https) o una ruta para la imagen.',
+    'validation.category': 'Elige una de estas categorías: {categories}.',
+    'validation.sku': 'El SKU solo puede contener letras, números y guiones.',
+    'validation.skuTaken': 'Otro producto ya usa este SKU.',
+    'validation.id': 'El ID solo puede contener minúsculas, números y guiones.',
+    'validation.stock': 'Introduce un número o pares talla:cantidad, como 8:4 9:2.',
+    'validation.stockSize': 'La talla {size} tiene existencias pero no es una de las tallas del producto.',
+    'validation.longDescription': 'La descripción larga debe ser texto.',
+    'validation.addedAt': 'La fecha de alta debe tener el formato 2024-09-02.',
+    'validation.images': 'Las imágenes deben ser una lista de direcciones web (http o https) o rutas.',
+    'validation.widths': 'Los anchos deben ser una lista de nombres, como "Regular" y "Wide".',
+    'validation.colors': 'Los colores deben ser una lista de entradas con un nombre y un color hexadecimal como #111827.',
+    'validation.specs': 'Las especificaciones deben ser un objeto cuyos valores sean números, texto o verdadero/falso.',
+    'validation.fixErrors': 'Corrige los errores e inténtalo de nuevo.',
+
+    'contact.title': 'Contacta con nosotros',
+    'contact.description': '¿Tienes preguntas sobre nuestros productos? Estamos aquí para ayudarte.',
+    'contact.email': 'Correo electrónico',
+    'contact.phone': 'Teléfono',
+    'contact.address': 'Dirección',
+    'contact.send': 'Enviar mensaje',
+    'contact.sending': 'Enviando...',
+    'contact.sent': '¡Mensaje enviado! Te responderemos pronto.',
+    'contact.failed': 'No se pudo enviar el mensaje. Inténtalo de nuevo.',
+    'contact.queued': 'Estás sin conexión. Tu mensaje se enviará en cuanto vuelvas a estar en línea.',
+    'contact.delivered': {
+      one: 'Tu mensaje pendiente se ha entregado.',
+      other: 'Se han entregado {count} mensajes pendientes.'
+    },
+    'contact.dropped': {
+      one: 'El servidor rechazó un mensaje pendiente y no se envió. Vuelve a enviarlo.',
+      other: 'El servidor rechazó {count} mensajes pendientes y no se enviaron. Vuelve a enviarlos.'
+    },
+
+    'reviews.title': 'Reseñas',
+    'reviews.rated': 'Valoración de {rating} sobre 5',
+    'reviews.count': {
+      one: '{count} reseña',
+      other: '{count} reseñas'
+    },
+    'reviews.stars': {
+      one: '{count} estrella',
+      other: '{count} estrellas'
+    },
+    'reviews.none': 'Sin reseñas todavía',
+    'reviews.empty': 'Aún no hay reseñas. Sé el primero en opinar.',
+    'reviews.loadError': 'No se pudieron cargar las reseñas en este momento.',
+    'reviews.sort': 'Ordenar reseñas',
+    'reviews.sort.newest': 'Más recientes',
+    'reviews.sort.highest': 'Mejor valoradas',
+    'reviews.sort.lowest': 'Peor valoradas',
+    'reviews.sort.verified': 'Compras verificadas primero',
+    'reviews.by': 'Por {author} el {date}',
+    'reviews.verified': 'Compra verificada',
+    'reviews.write': 'Escribir una reseña',
+    'reviews.cancel': 'Cancelar',
+    'reviews.submit': 'Publicar reseña',
+    'reviews.posting': 'Publicando...',
+    'reviews.posted': '¡Gracias! Tu reseña se ha publicado.',
+    'reviews.failed': 'No pudimos publicar tu reseña. Inténtalo de nuevo.',
+
+    'admin.title': 'Editor del catálogo',
+    'admin.close': 'Cerrar el editor del catálogo',
+    'admin.lockText': 'Introduce el código de acceso para editar el catálogo.',
+    'admin.unlock': 'Desbloquear',
+    'admin.wrongPasscode': 'Ese código de acceso no es correcto.',
+    'admin.lockUnavailable': 'El código no se puede comprobar aquí. Abre la tienda por https o desde localhost.',
+    'admin.new': 'Nuevo producto',
+    'admin.import': 'Importar CSV/JSON',
+    'admin.exportCsv': 'Exportar CSV',
+    'admin.exportJson': 'Exportar JSON',
+    'admin.publish': 'Mostrar este catálogo en la tienda',
+    'admin.published': 'La tienda muestra ahora el catálogo editado en este navegador.',
+    'admin.unpublished': 'La tienda vuelve a mostrar su catálogo habitual.',
+    'admin.empty': 'El catálogo está vacío. Añade un producto o importa un archivo.',
+    'admin.list': 'Productos en orden de presentación',
+    'admin.moveUp': 'Subir {name}',
+    'admin.moveDown': 'Bajar {name}',
+    'admin.edit': 'Editar',
+    'admin.editLabel': 'Editar {name}',
+    'admin.delete': 'Eliminar',
+    'admin.deleteLabel': 'Eliminar {name}',
+    'admin.deleted': 'Se eliminó {name}.',
+    'admin.saved': 'Se guardó {name}.',
+    'admin.saveError': 'No se pudo guardar el catálogo. Inténtalo de nuevo.',
+    'admin.loadError': 'No se pudo cargar el catálogo.',
+    'admin.newTitle': 'Nuevo producto',
+    'admin.editTitle': 'Editar producto',
+    'admin.cancel': 'Cancelar',
+    'admin.save': 'Guardar producto',
+    'admin.chooseCategory': 'Elige una categoría',
+    'admin.sizesHint': 'Separa las tallas con espacios, p. ej. 8 8.5 9.',
+    'admin.stockHint': 'Déjalo vacío para existencias ilimitadas, introduce un número o indica una cantidad por talla como 8:4 9:2.',
+    'admin.unlimited': 'Existencias ilimitadas',
+    'admin.inStock': {
+      one: '{count} en existencia',
+      other: '{count} en existencia'
+    },
+    'admin.imported': {
+      one: 'Se importó {count} producto.',
+      other: 'Se importaron {count} productos.'
+    },
+    'admin.importProblems': {
+      one: 'Se omitió {count} fila:',
+      other: 'Se omitieron {count} filas:'
+    },
+    'admin.importRow': 'Fila {row}: {errors}',
+    'admin.importItem': 'Elemento {row}: {errors}',
+    'admin.importUnreadable': 'No se pudo leer {file}. Usa un archivo CSV con fila de encabezado o un array JSON de productos.',
+
+    'about.title': 'Creando excelencia desde el primer día',
+    'about.description': 'En Nox creemos que un buen zapato es más que calzado: es una declaración de calidad, comodidad y estilo. Cada par se fabrica con esmero usando materiales premium y un diseño innovador.',
+    'about.quality': 'Calidad premium',
+    'about.qualityText': 'Solo los mejores materiales llegan a nuestros zapatos',
+    'about.fit': 'Ajuste perfecto',
+    'about.fitText': 'Diseñados para la comodidad y el rendimiento',
+    'about.sustainable': 'Sostenible',
+    'about.sustainableText': 'Comprometidos con prácticas respetuosas con el medio ambiente',
+    'about.imageAlt': 'Proceso artesanal de fabricación de zapatos premium',
+
+    'footer.description': 'Calzado premium para el estilo de vida moderno.',
+    'footer.products': 'Productos',
+    'footer.running': 'Zapatillas de running',
+    'footer.casual': 'Zapatos casual',
+    'footer.dress': 'Zapatos de vestir',
+    'footer.boots': 'Botas',
+    'footer.support': 'Ayuda',
+    'footer.sizeGuide': 'Guía de tallas',
+    'footer.returns': 'Devoluciones',
+    'footer.shipping': 'Envíos',
+    'footer.faq': 'Preguntas frecuentes',
+    'footer.company': 'Empresa',
+    'footer.aboutUs': 'Sobre nosotros',
+    'footer.careers': 'Empleo',
+    'footer.press': 'Prensa',
+    'footer.contact': 'Contacto',
+    'footer.copyright': '© 2024 Nox. Todos los derechos reservados.',
+
+    'notFound.title': 'Página no encontrada',
+    'notFound.text': 'La página que buscas no existe o se ha movido.',
+    'notFound.home': 'Volver a la tienda',
+
+    'orders.title': 'Tus pedidos',
+    'orders.close': 'Cerrar el historial de pedidos',
+    'orders.note': 'Pedidos realizados en este dispositivo.',
+    'orders.empty': 'Todavía no has hecho ningún pedido en este dispositivo.',
+    'orders.number': 'Pedido {number}',
+    'orders.status.confirmed': 'Confirmado',
+    'orders.itemCount': {
+      one: '{count} artículo',
+      other: '{count} artículos'
+    },
+    'orders.viewReceipt': 'Ver recibo',
+    'orders.reorder': 'Volver a pedir',
+    'orders.reordered': 'Los artículos del pedido {number} están de nuevo en tu carrito a los precios de hoy.',
+    'orders.reorderFailed': 'No se pudieron comprobar los precios de hoy, así que no se añadió nada. Inténtalo de nuevo cuando tengas conexión.',
+    'orders.saveError': 'Tu pedido se realizó, pero no se pudo añadir a tu historial de pedidos.',
+    'orders.loadError': 'No se pudieron cargar tus pedidos.',
+    'orders.receipt': 'Recibo',
+    'orders.closeReceipt': 'Cerrar el recibo',
+    'orders.all': 'Todos los pedidos',
+    'orders.print': 'Imprimir recibo',
+    'orders.transaction': 'Transacción {id}',
+    'orders.item': 'Artículo',
+    'orders.quantity': 'Cant.',
+    'orders.price': 'Precio',
+    'orders.lineTotal': 'Total',
+    'orders.receiptNote': 'Enviamos una confirmación a {email}. Gracias por comprar en Nox.',
+
+    'toast.success': 'Éxito',
+    'toast.error': 'Error',
+    'toast.warning': 'Aviso',
+    'toast.info': 'Información',
+    'toast.default': 'Notificación',
+    'toast.close': 'Cerrar notificación',
+    'toast.undo': 'Deshacer',
+
+    'error.generic': 'Algo ha salido mal. Actualiza la página.',
+    'error.network': 'Se ha producido un error de red. Comprueba tu conexión.',
+    'error.image': 'No se pudo cargar la imagen',
+
+    'update.available': 'Hay una nueva versión de Nox disponible.',
+    'update.reload': 'Recargar'
+  },
+
+  ar: {
+    'meta.title': 'نوكس - أحذية فاخرة',
+    'meta.description': 'اكتشف الأحذية الفاخرة من نوكس. أحذية عالية الجودة لكل خطوة في رحلتك.',
+    'loading.text': 'جارٍ تحميل نوكس...',
+
+    'nav.main': 'التنقل الرئيسي',
+    'nav.brand': 'الصفحة الرئيسية لنوكس',
+    'nav.home': 'الرئيسية',
+    'nav.products': 'المنتجات',
+    'nav.about': 'من نحن',
+    'nav.contact': 'اتصل بنا',
+    'nav.wishlist': 'المفضلة',
+    'nav.orders': 'طلباتك',
+    'nav.cart': 'سلة التسوق',
+    'nav.menu': 'فتح القائمة أو إغلاقها',
+    'nav.language': 'اللغة',
+    'nav.currency': 'العملة',
+
+    'theme.light': 'فاتح',
+    'theme.dark': 'داكن',
+    'theme.contrast': 'تباين عالٍ',
+    'theme.auto': 'النظام ({theme})',
+    'theme.switch': 'المظهر: {current}. التبديل إلى {next}',
+    'theme.changed': 'المظهر: {name}',
+
+    'hero.titleLead': 'خطوتك نحو',
+    'hero.titleHighlight': 'التميّز',
+    'hero.description': 'اكتشف أحذية فاخرة مصممة لأسلوب الحياة العصري. الجودة والراحة والأناقة في كل خطوة.',
+    'hero.shop': 'تسوّق المجموعة',
+    'hero.learnMore': 'اعرف المزيد',
+    'hero.imageAlt': 'حذاء جري فاخر باللونين الأسود والأبيض',
+
+    'products.title': 'المجموعة المميزة',
+    'products.description': 'تشكيلة مختارة من أفضل أحذيتنا',
+    'products.loadMore': 'تحميل المزيد من المنتجات',
+    'products.loading': 'جارٍ التحميل...',
+    'products.loadError': 'تعذّر تحميل المنتجات. يُرجى المحاولة مرة أخرى.',
+    'recent.title': 'شوهدت مؤخرًا',
+    'recent.clear': 'مسح',
+    'recent.clearLabel': 'مسح المنتجات التي شوهدت مؤخرًا',
+    'recommend.title': 'قد يعجبك أيضًا',
+    'recommend.cartTitle': 'يناسب سلتك',
+    'compare.add': 'مقارنة',
+    'compare.trayTitle': 'منتجات للمقارنة',
+    'compare.hint': 'اختر منتجين على الأقل للمقارنة.',
+    'compare.clear': 'مسح',
+    'compare.open': 'مقارنة ({count})',
+    'compare.full': 'يمكنك مقارنة {count} منتجات كحد أقصى في المرة الواحدة.',
+    'compare.remove': 'إزالة {name} من المقارنة',
+    'compare.title': 'مقارنة المنتجات',
+    'compare.close': 'إغلاق المقارنة',
+    'compare.legend': 'الصفوف المميزة تختلف بين المنتجات.',
+    'compare.differs': 'مختلف',
+    'compare.price': 'السعر',
+    'compare.category': 'الفئة',
+    'compare.badge': 'الشارة',
+    'compare.weight': 'الوزن',
+    'compare.drop': 'فرق ارتفاع الكعب',
+    'compare.material': 'الخامة',
+    'compare.waterproof': 'مقاوم للماء',
+    'compare.yes': 'نعم',
+    'compare.no': 'لا',
+
+    'filters.label': 'تصفية المنتجات',
+    'filters.search': 'البحث في المنتجات',
+    'filters.searchPlaceholder': 'ابحث عن الأحذية...',
+    'filters.sort': 'ترتيب المنتجات',
+    'filters.categories': 'الفئات',
+    'filters.priceRange': 'نطاق السعر',
+    'filters.minPrice': 'أدنى سعر',
+    'filters.maxPrice': 'أعلى سعر',
+    'filters.minPlaceholder': 'الحد الأدنى {currency}',
+    'filters.maxPlaceholder': 'الحد الأقصى {currency}',
+    'filters.results': 'عرض {shown} من {loaded} منتجات محمّلة',
+    'filters.empty': 'لا توجد منتجات تطابق عوامل التصفية.',
+    'filters.clear': 'مسح عوامل التصفية',
+
+    'sort.featured': 'المميزة',
+    'sort.newest': 'الأحدث',
+    'sort.priceAsc': 'السعر: من الأقل إلى الأعلى',
+    'sort.priceDesc': 'السعر: من الأعلى إلى الأقل',
+    'sort.nameAsc': 'الاسم: من أ إلى ي',
+    'sort.nameDesc': 'الاسم: من ي إلى أ',
+
+    'category.all': 'الكل',
+    'category.running': 'جري',
+    'category.casual': 'كاجوال',
+    'category.hiking': 'تنزّه',
+    'category.dress': 'رسمي',
+    'category.sports': 'رياضة',
+
+    'product.addToFavorites': 'إضافة إلى المفضلة',
+    'product.removeFromFavorites': 'إزالة من المفضلة',
+    'product.addToCart': 'إضافة إلى السلة',
+    'product.addToCartButton': 'أضف إلى السلة',
+    'product.added': 'تمت إضافة {name} إلى السلة',
+    'product.close': 'إغلاق تفاصيل المنتج',
+    'product.images': 'صور المنتج',
+    'product.showImage': 'عرض الصورة {index} من {total}',
+    'product.color': 'اللون:',
+    'product.size': 'المقاس (أمريكي)',
+    'product.sizeValue': 'المقاس {size}',
+    'product.width': 'العرض',
+    'product.selectSize': 'يُرجى اختيار المقاس.',
+    'product.unavailable': 'هذا المنتج لم يعد متوفرًا.',
+
+    'stock.low': 'متبقٍ {count} فقط',
+    'stock.sizeLow': 'متبقٍ {count} فقط من هذا المقاس',
+    'stock.soldOut': 'نفدت الكمية',
+    'stock.limit': 'المتوفر من {name} هو {count} فقط.',
+    'stock.reduced': 'الكمية المتبقية من {name} قليلة، لذا أصبحت سلتك تحتوي على {count}.',
+    'stock.removed': 'نفدت كمية {name}.',
+
+    'cart.title': 'سلتك',
+    'cart.close': 'إغلاق السلة',
+    'cart.items': 'عناصر السلة',
+    'cart.empty': 'سلتك فارغة.',
+    'cart.continue': 'متابعة التسوق',
+    'cart.subtotal': 'المجموع الفرعي',
+    'cart.clear': 'إفراغ السلة',
+    'cart.checkout': 'إتمام الشراء',
+    'cart.each': '{price} للقطعة',
+    'cart.decrease': 'تقليل كمية {name}',
+    'cart.increase': 'زيادة كمية {name}',
+    'cart.quantity': 'كمية {name}',
+    'cart.remove': 'إزالة',
+    'cart.removeLabel': 'إزالة {name} من السلة',
+    'cart.removed': 'تمت إزالة {name} من السلة',
+    'cart.cleared': 'تم إفراغ السلة',
+    'cart.total': 'الإجمالي',
+    'cart.unknownItem': 'المنتج {sku}',
+    'cart.unavailable': 'لم يعد متوفرًا',
+    'cart.discontinued': '{name} لم يعد متوفرًا.',
+    'cart.priceChanged': 'تغيّر سعر {name} من {from} إلى {to}.',
+    'cart.priceWas': 'تم تحديث السعر، كان {price}',
+    'cart.reviewChanges': 'تغيّرت سلتك منذ أن أضفت هذه المنتجات. يُرجى مراجعتها قبل إتمام الشراء.',
+
+    'promo.label': 'رمز الخصم',
+    'promo.apply': 'تطبيق',
+    'promo.remove': 'إزالة الرمز {code}',
+    'promo.applied': 'تم تطبيق الرمز {code}',
+    'promo.invalid': 'هذا الرمز غير صالح.',
+    'promo.expired': 'انتهت صلاحية الرمز {code}.',
+    'promo.minSpend': 'أنفق {amount} أو أكثر لاستخدام {code}.',
+    'promo.percent': 'خصم {percent}٪',
+    'promo.categoryPercent': 'خصم {percent}٪ على {category}',
+    'promo.fixed': 'خصم {amount}',
+    'promo.bogo': 'اشترِ واحدًا واحصل على الثاني مجانًا',
+    'promo.categoryBogo': 'اشترِ واحدًا واحصل على الثاني مجانًا: {category}',
+    'promo.codeLine': '{code}: {label}',
+
+    'wishlist.title': 'قائمة المفضلة',
+    'wishlist.close': 'إغلاق المفضلة',
+    'wishlist.items': 'عناصر المفضلة',
+    'wishlist.empty': 'قائمة المفضلة فارغة. اضغط ♥ على أي منتج لحفظه لوقت لاحق.',
+    'wishlist.moveToCart': 'نقل إلى السلة',
+    'wishlist.removeLabel': 'إزالة {name} من المفضلة',
+    'wishlist.added': 'تمت إضافة {name} إلى المفضلة',
+    'wishlist.removed': 'تمت إزالة {name} من المفضلة',
+
+    'checkout.title': 'إتمام الشراء',
+    'checkout.close': 'إغلاق إتمام الشراء',
+    'checkout.step.shipping': 'الشحن',
+    'checkout.step.method': 'التوصيل',
+    'checkout.step.payment': 'الدفع',
+    'checkout.step.review': 'المراجعة',
+    'checkout.shippingAddress': 'عنوان الشحن',
+    'checkout.selectCountry': 'اختر دولة',
+    'checkout.shippingMethod': 'طريقة الشحن',
+    'checkout.payment': 'الدفع',
+    'checkout.review': 'راجع طلبك',
+    'checkout.back': 'رجوع',
+    'checkout.continue': 'متابعة',
+    'checkout.placeOrder': 'تأكيد الطلب',
+    'checkout.processing': 'جارٍ المعالجة...',
+    'checkout.free': 'مجاني',
+    'checkout.subtotal': 'المجموع الفرعي',
+    'checkout.shipping': 'الشحن',
+    'checkout.tax': 'الضريبة',
+    'checkout.total': 'الإجمالي',
+    'checkout.shipTo': 'الشحن إلى',
+    'checkout.delivery': 'التوصيل',
+    'checkout.cardEnding': 'بطاقة تنتهي بـ {digits}',
+    'checkout.emptyCart': 'سلتك فارغة.',
+    'checkout.pricesChanged': 'تغيّرت سلتك أثناء إتمام الشراء. يُرجى مراجعة الإجمالي المحدَّث.',
+    'checkout.failed': 'تعذّرت معالجة الدفع. يُرجى المحاولة مرة أخرى.',
+    'checkout.confirmed': 'تم تأكيد الطلب {number}!',
+    'checkout.thankYou': 'شكرًا لطلبك!',
+    'checkout.orderNumber': 'رقم طلبك هو {number}.',
+    'checkout.confirmationSent': 'أرسلنا رسالة تأكيد إلى {email}.',
+
+    'shipping.standard': 'عادي',
+    'shipping.standard.description': '5-7 أيام عمل',
+    'shipping.express': 'سريع',
+    'shipping.express.description': '2-3 أيام عمل',
+    'shipping.overnight': 'في اليوم التالي',
+    'shipping.overnight.description': 'يوم العمل التالي',
+
+    'payment.declined': 'تم رفض بطاقتك. يُرجى استخدام بطاقة أخرى.',
+
+    'field.name': 'الاسم',
+    'field.email': 'البريد الإلكتروني',
+    'field.message': 'الرسالة',
+    'field.fullName': 'الاسم الكامل',
+    'field.address': 'عنوان الشارع',
+    'field.city': 'المدينة',
+    'field.postalCode': 'الرمز البريدي',
+    'field.country': 'الدولة',
+    'field.cardName': 'الاسم على البطاقة',
+    'field.cardNumber': 'رقم البطاقة',
+    'field.cardExpiry': 'تاريخ الانتهاء',
+    'field.cardExpiryShort': 'الانتهاء',
+    'field.cardCvc': 'رمز الأمان',
+    'field.cardCvcShort': 'CVC',
+    'field.cardExpiryPlaceholder': 'MM/YY',
+    'field.rating': 'التقييم',
+    'field.author': 'اسمك',
+    'field.title': 'العنوان',
+    'field.body': 'المراجعة',
+    'field.sku': 'رمز المنتج (SKU)',
+    'field.description': 'الوصف',
+    'field.price': 'السعر (USD)',
+    'field.image': 'رابط الصورة',
+    'field.badge': 'الشارة',
+    'field.category': 'الفئة',
+    'field.sizes': 'المقاسات',
+    'field.stock': 'المخزون',
+    'field.passcode': 'رمز الدخول',
+    'field.id': 'المعرّف',
+
+    'validation.required': 'حقل {field} مطلوب.',
+    'validation.email': 'يُرجى إدخال بريد إلكتروني صالح.',
+    'validation.minLength': 'يجب ألا يقل {field} عن {min} أحرف.',
+    'validation.postalCode': 'يُرجى إدخال رمز بريدي صالح.',
+    'validation.cardNumber': 'يُرجى إدخال رقم بطاقة صالح.',
+    'validation.cardExpiry': 'يُرجى إدخال تاريخ انتهاء صالح (MM/YY).',
+    'validation.cardCvc': 'يُرجى إدخال رمز أمان صالح.',
+    'validation.maxLength': 'يجب ألا يزيد {field} عن {max} حرفًا.',
+    'validation.price': 'يُرجى إدخال سعر أكبر من صفر.',
+    'validation.image': 'يُرجى إدخال عنوان ويب (http أو https) أو مسار للصورة.',
+    'validation.category': 'يُرجى اختيار إحدى هذه الفئات: {categories}.',
+    'validation.sku': 'يمكن أن يحتوي رمز المنتج على أحرف وأرقام وشرطات فقط.',
+    'validation.skuTaken': 'هناك منتج آخر يستخدم رمز المنتج هذا.',
+    'validation.id': 'يمكن أن يحتوي المعرّف على أحرف لاتينية صغيرة وأرقام وشرطات فقط.',
+    'validation.stock': 'أدخل رقمًا واحدًا أو أزواج مقاس:كمية، مثل 8:4 9:2.',
+    'validation.stockSize': 'المقاس {size} له مخزون لكنه ليس من مقاسات المنتج.',
+    'validation.longDescription': 'يجب أن يكون الوصف المفصل نصًا.',
+    'validation.addedAt': 'يجب أن يكون تاريخ الإضافة بالشكل 2024-09-02.',
+    'validation.images': 'يجب أن تكون الصور قائمة بعناوين ويب (http أو https) أو مسارات.',
+    'validation.widths': 'يجب أن تكون العروض قائمة بأسماء، مثل "Regular" و"Wide".',
+    'validation.colors': 'يجب أن تكون الألوان قائمة بعناصر لكل منها اسم ولون سداسي عشري مثل #111827.',
+    'validation.specs': 'يجب أن تكون المواصفات كائنًا قيمه أرقام أو نصوص أو صح/خطأ.',
+    'validation.fixErrors': 'يُرجى تصحيح الأخطاء والمحاولة مرة أخرى.',
+
+    'contact.title': 'تواصل معنا',
+    'contact.description': 'هل لديك أسئلة حول منتجاتنا؟ نحن هنا لمساعدتك.',
+    'contact.email': 'البريد الإلكتروني',
+    'contact.phone': 'الهاتف',
+    'contact.address': 'العنوان',
+    'contact.send': 'إرسال الرسالة',
+    'contact.sending': 'جارٍ الإرسال...',
+    'contact.sent': 'تم إرسال رسالتك بنجاح! سنرد عليك قريبًا.',
+    'contact.failed': 'تعذّر إرسال الرسالة. يُرجى المحاولة مرة أخرى.',
+    'contact.queued': 'أنت غير متصل. سيتم إرسال رسالتك فور عودة الاتصال.',
+    'contact.delivered': {
+      one: 'تم تسليم رسالتك المعلّقة.',
+      two: 'تم تسليم رسالتين معلّقتين.',
+      few: 'تم تسليم {count} رسائل معلّقة.',
+      other: 'تم تسليم {count} رسالة معلّقة.'
+    },
+    'contact.dropped': {
+      one: 'رفض الخادم رسالة معلّقة ولم تُرسل. يُرجى إرسالها مرة أخرى.',
+      two: 'رفض الخادم رسالتين معلّقتين ولم تُرسلا. يُرجى إرسالهما مرة أخرى.',
+      few: 'رفض الخادم {count} رسائل معلّقة ولم تُرسل. يُرجى إرسالها مرة أخرى.',
+      other: 'رفض الخادم {count} رسالة معلّقة ولم تُرسل. يُرجى إرسالها مرة أخرى.'
+    },
+
+    'reviews.title': 'المراجعات',
+    'reviews.rated': 'التقييم {rating} من 5',
+    'reviews.count': {
+      one: 'مراجعة واحدة',
+      two: 'مراجعتان',
+      few: '{count} مراجعات',
+      other: '{count} مراجعة'
+    },
+    'reviews.stars': {
+      one: 'نجمة واحدة',
+      two: 'نجمتان',
+      few: '{count} نجوم',
+      other: '{count} نجمة'
+    },
+    'reviews.none': 'لا توجد مراجعات بعد',
+    'reviews.empty': 'لا توجد مراجعات بعد. كن أول من يشاركنا رأيه.',
+    'reviews.loadError': 'تعذّر تحميل المراجعات حاليًا.',
+    'reviews.sort': 'ترتيب المراجعات',
+    'reviews.sort.newest': 'الأحدث',
+    'reviews.sort.highest': 'الأعلى تقييمًا',
+    'reviews.sort.lowest': 'الأقل تقييمًا',
+    'reviews.sort.verified': 'المشتريات المؤكدة أولًا',
+    'reviews.by': 'بواسطة {author} في {date}',
+    'reviews.verified': 'شراء مؤكد',
+    'reviews.write': 'اكتب مراجعة',
+    'reviews.cancel': 'إلغاء',
+    'reviews.submit': 'نشر المراجعة',
+    'reviews.posting': 'جارٍ النشر...',
+    'reviews.posted': 'شكرًا! تم نشر مراجعتك.',
+    'reviews.failed': 'تعذّر نشر مراجعتك. يُرجى المحاولة مرة أخرى.',
+
+    'admin.title': 'محرر الكتالوج',
+    'admin.close': 'إغلاق محرر الكتالوج',
+    'admin.lockText': 'أدخل رمز الدخول لتعديل الكتالوج.',
+    'admin.unlock': 'فتح',
+    'admin.wrongPasscode': 'رمز الدخول غير صحيح.',
+    'admin.lockUnavailable': 'لا يمكن التحقق من الرمز هنا. افتح المتجر عبر https أو من localhost.',
+    'admin.new': 'منتج جديد',
+    'admin.import': 'استيراد CSV/JSON',
+    'admin.exportCsv': 'تصدير CSV',
+    'admin.exportJson': 'تصدير JSON',
+    'admin.publish': 'عرض هذا الكتالوج في المتجر',
+    'admin.published': 'يعرض المتجر الآن الكتالوج المعدّل في هذا المتصفح.',
+    'admin.unpublished': 'عاد المتجر إلى كتالوجه المعتاد.',
+    'admin.empty': 'الكتالوج فارغ. أضف منتجًا أو استورد ملفًا.',
+    'admin.list': 'المنتجات بترتيب العرض',
+    'admin.moveUp': 'نقل {name} للأعلى',
+    'admin.moveDown': 'نقل {name} للأسفل',
+    'admin.edit': 'تعديل',
+    'admin.editLabel': 'تعديل {name}',
+    'admin.delete': 'حذف',
+    'admin.deleteLabel': 'حذف {name}',
+    'admin.deleted': 'تم حذف {name}.',
+    'admin.saved': 'تم حفظ {name}.',
+    'admin.saveError': 'تعذّر حفظ الكتالوج. يُرجى المحاولة مرة أخرى.',
+    'admin.loadError': 'تعذّر تحميل الكتالوج.',
+    'admin.newTitle': 'منتج جديد',
+    'admin.editTitle': 'تعديل المنتج',
+    'admin.cancel': 'إلغاء',
+    'admin.save': 'حفظ المنتج',
+    'admin.chooseCategory': 'اختر فئة',
+    'admin.sizesHint': 'افصل بين المقاسات بمسافات، مثل 8 8.5 9.',
+    'admin.stockHint': 'اتركه فارغًا لمخزون غير محدود، أو أدخل رقمًا واحدًا، أو حدّد كمية لكل مقاس مثل 8:4 9:2.',
+    'admin.unlimited': 'مخزون غير محدود',
+    'admin.inStock': {
+      zero: 'نفد المخزون',
+      one: 'قطعة واحدة في المخزون',
+      two: 'قطعتان في المخزون',
+      few: '{count} قطع في المخزون',
+      other: '{count} قطعة في المخزون'
+    },
+    'admin.imported': {
+      zero: 'لم يتم استيراد أي منتج.',
+      one: 'تم استيراد منتج واحد.',
+      two: 'تم استيراد منتجين.',
+      few: 'تم استيراد {count} منتجات.',
+      other: 'تم استيراد {count} منتجًا.'
+    },
+    'admin.importProblems': {
+      one: 'تم تخطي صف واحد:',
+      two: 'تم تخطي صفين:',
+      few: 'تم تخطي {count} صفوف:',
+      other: 'تم تخطي {count} صفًا:'
+    },
+    'admin.importRow': 'الصف {row}: {errors}',
+    'admin.importItem': 'العنصر {row}: {errors}',
+    'admin.importUnreadable': 'تعذّرت قراءة {file}. استخدم ملف CSV يحتوي على صف عناوين أو مصفوفة JSON من المنتجات.',
+
+    'about.title': 'نصنع التميّز منذ اليوم الأول',
+    'about.description': 'في نوكس نؤمن بأن الحذاء الجيد أكثر من مجرد حذاء، فهو تعبير عن الجودة والراحة والأناقة. كل زوج مصنوع بعناية من خامات فاخرة وبتصميم مبتكر.',
+    'about.quality': 'جودة فاخرة',
+    'about.qualityText': 'لا نستخدم في أحذيتنا إلا أجود الخامات',
+    'about.fit': 'مقاس مثالي',
+    'about.fitText': 'مصممة للراحة والأداء',
+    'about.sustainable': 'الاستدامة',
+    'about.sustainableText': 'ملتزمون بممارسات مسؤولة تجاه البيئة',
+    'about.imageAlt': 'مراحل صناعة الأحذية الفاخرة',
+
+    'footer.description': 'أحذية فاخرة لأسلوب الحياة العصري.',
+    'footer.products': 'المنتجات',
+    'footer.running': 'أحذية الجري',
+    'footer.casual': 'أحذية كاجوال',
+    'footer.dress': 'أحذية رسمية',
+    'footer.boots': 'أحذية طويلة',
+    'footer.support': 'الدعم',
+    'footer.sizeGuide': 'دليل المقاسات',
+    'footer.returns': 'الإرجاع',
+    'footer.shipping': 'الشحن',
+    'footer.faq': 'الأسئلة الشائعة',
+    'footer.company': 'الشركة',
+    'footer.aboutUs': 'من نحن',
+    'footer.careers': 'الوظائف',
+    'footer.press': 'الصحافة',
+    'footer.contact': 'اتصل بنا',
+    'footer.copyright': '© 2024 نوكس. جميع الحقوق محفوظة.',
+
+    'notFound.title': 'الصفحة غير موجودة',
+    'notFound.text': 'الصفحة التي تبحث عنها غير موجودة أو ربما تم نقلها.',
+    'notFound.home': 'العودة إلى المتجر',
+
+    'orders.title': 'طلباتك',
+    'orders.close': 'إغلاق سجل الطلبات',
+    'orders.note': 'الطلبات التي تمت على هذا الجهاز.',
+    'orders.empty': 'لم تقدّم أي طلبات على هذا الجهاز بعد.',
+    'orders.number': 'الطلب {number}',
+    'orders.status.confirmed': 'مؤكَّد',
+    'orders.itemCount': {
+      one: 'منتج واحد',
+      two: 'منتجان',
+      few: '{count} منتجات',
+      other: '{count} منتجًا'
+    },
+    'orders.viewReceipt': 'عرض الإيصال',
+    'orders.reorder': 'إعادة الطلب',
+    'orders.reordered': 'عادت منتجات الطلب {number} إلى سلتك بأسعار اليوم.',
+    'orders.reorderFailed': 'تعذّر التحقق من أسعار اليوم، لذلك لم تتم إضافة أي شيء. حاول مرة أخرى عند الاتصال بالإنترنت.',
+    'orders.saveError': 'تم تقديم طلبك، لكن تعذّرت إضافته إلى سجل طلباتك.',
+    'orders.loadError': 'تعذّر تحميل طلباتك.',
+    'orders.receipt': 'الإيصال',
+    'orders.closeReceipt': 'إغلاق الإيصال',
+    'orders.all': 'كل الطلبات',
+    'orders.print': 'طباعة الإيصال',
+    'orders.transaction': 'المعاملة {id}',
+    'orders.item': 'المنتج',
+    'orders.quantity': 'الكمية',
+    'orders.price': 'السعر',
+    'orders.lineTotal': 'الإجمالي',
+    'orders.receiptNote': 'أرسلنا تأكيدًا إلى {email}. شكرًا لتسوقك من Nox.',
+
+    'toast.success': 'تم بنجاح',
+    'toast.error': 'خطأ',
+    'toast.warning': 'تنبيه',
+    'toast.info': 'معلومة',
+    'toast.default': 'إشعار',
+    'toast.close': 'إغلاق الإشعار',
+    'toast.undo': 'تراجع',
+
+    'error.generic': 'حدث خطأ ما. يُرجى تحديث الصفحة.',
+    'error.network': 'حدث خطأ في الشبكة. يُرجى التحقق من اتصالك.',
+    'error.image': 'تعذّر تحميل الصورة',
+
+    'update.available': 'يتوفر إصدار جديد من نوكس.',
+    'update.reload': 'إعادة التحميل'
+  }
+};
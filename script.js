@@ -1,11 +1,308 @@
+// ===== STORAGE =====
+// localStorage behind a schema version: saved data is migrated forward on
+// load, unreadable values fall back to defaults instead of throwing, and
+// `watch` hears about writes made in other tabs
+const storage = {
+  version: 3,
+  versionKey: 'schemaVersion',
+
+  // Expected type of each key; anything else is treated as missing
+  types: {
+    theme: 'string',
+    locale: 'string',
+    currency: 'string',
+    promoCode: 'string',
+    catalogSource: 'string',
+    cart: 'array',
+    wishlist: 'array',
+    recentlyViewed: 'array',
+    cartHistory: 'array',
+    purchased: 'array',
+    // Session-only, see compareManager and catalogAdmin
+    compare: 'array',
+    adminUnlocked: 'boolean'
+  },
+
+  // Array entries that fail these checks are dropped on load
+  entries: {
+    cart: item => Boolean(item) && typeof item === 'object' &&
+      typeof item.sku === 'string' && item.sku !== '' &&
+      Number.isInteger(item.quantity) && item.quantity > 0 &&
+      (item.variant === undefined || (Boolean(item.variant) && typeof item.variant === 'object'))
+  },
+
+  // `migrations[n]` upgrades data saved by version n - 1
+  migrations: {
+    2() {
+      // Preferences were stored as raw strings rather than JSON
+      ['theme', 'locale', 'currency', 'promoCode'].forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null) {
+          localStorage.setItem(key, JSON.stringify(value));
+        }
+      });
+
+      // Carts saved before variants existed have no line id; this is the
+      // key productManager.getLineId builds, which isn't defined yet here
+      const cart = storage.get('cart', []);
+      storage.set('cart', cart.filter(item => item && typeof item === 'object').map(item => {
+        const { size, width, color } = item.variant || {};
+        return { ...item, lineId: item.lineId || [item.id, size, width, color].filter(Boolean).join(':') };
+      }));
+    },
+
+    3() {
+      // Cart lines keep only what identifies them; names, prices and stock
+      // are looked up in the catalog on every load
+      const cart = storage.get('cart', []);
+      storage.set('cart', cart
+        .filter(storage.entries.cart)
+        .map(({ sku, variant, quantity }) => ({ sku, variant: variant || {}, quantity })));
+    }
+  },
+
+  watchers: {},
+
+  // Runs as the script loads, before `state` reads anything
+  migrate() {
+    const saved = Number(localStorage.getItem(this.versionKey));
+    const hasData = Object.keys(this.types).some(key => localStorage.getItem(key) !== null);
+    // Data from before versioning counts as version 1
+    let version = saved || (hasData ? 1 : this.version);
+
+    if (version > this.version) {
+      console.warn(`Stored data is from a newer version (${version}); leaving it as is`);
+      return;
+    }
+
+    while (version < this.version) {
+      version += 1;
+      try {
+        this.migrations[version]();
+      } catch (error) {
+        console.error(`Storage migration to version ${version} failed:`, error);
+      }
+    }
+
+    localStorage.setItem(this.versionKey, String(version));
+  },
+
+  // `area` is localStorage unless a key only lives for the session
+  get(key, fallback, area = localStorage) {
+    return this.parse(key, area.getItem(key), fallback);
+  },
+
+  parse(key, raw, fallback) {
+    if (raw === null || raw === undefined) return fallback;
+
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Ignoring corrupt stored value for "${key}"`);
+      return fallback;
+    }
+
+    const type = this.types[key];
+    const isValid = type === 'array' ? Array.isArray(value) : !type || typeof value === type;
+    if (!isValid) return fallback;
+
+    return this.entries[key] ? value.filter(this.entries[key]) : value;
+  },
+
+  // Returns false when the value couldn't be saved (e.g. quota exceeded)
+  set(key, value, area = localStorage) {
+    try {
+      area.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error(`Could not save "${key}":`, error);
+      return false;
+    }
+  },
+
+  remove(key, area = localStorage) {
+    area.removeItem(key);
+  },
+
+  // `handler(value)` runs when another tab changes `key`; the browser
+  // doesn't fire `storage` events in the tab that made the change
+  watch(key, handler) {
+    (this.watchers[key] = this.watchers[key] || []).push(handler);
+  },
+
+  init() {
+    window.addEventListener('storage', (e) => {
+      if (e.storageArea !== localStorage) return;
+
+      // `key` is null when storage was cleared entirely
+      const keys = e.key === null ? Object.keys(this.watchers) : [e.key];
+      keys.forEach(key => {
+        const value = this.parse(key, e.key === null ? null : e.newValue);
+        (this.watchers[key] || []).forEach(handler => handler(value));
+      });
+    });
+  }
+};
+
+storage.migrate();
+
 // ===== GLOBAL STATE =====
 const state = {
-  theme: localStorage.getItem('theme') || 'light',
-  cart: JSON.parse(localStorage.getItem('cart')) || [],
+  theme: storage.get('theme', 'auto'),
+  locale: storage.get('locale', (navigator.language || '').split('-')[0]),
+  currency: storage.get('currency', ''),
+  cart: storage.get('cart', []),
+  promoCode: storage.get('promoCode', ''),
+  wishlist: storage.get('wishlist', []),
+  // Product ids, most recent first
+  recentlyViewed: storage.get('recentlyViewed', []),
+  // SKU sets the cart has held, for "bought together" recommendations
+  cartHistory: storage.get('cartHistory', []),
+  // Product ids bought in this browser; marks local reviews as verified
+  purchased: storage.get('purchased', []),
+  // Product ids picked for comparison, for this browser session only
+  compare: storage.get('compare', [], sessionStorage),
+  // `local` when the shop shows the catalog edited in catalogAdmin
+  catalogSource: storage.get('catalogSource', 'remote'),
+  adminUnlocked: storage.get('adminUnlocked', false, sessionStorage),
   products: [],
   isLoading: false,
-  currentPage: 1,
-  productsPerPage: 6
+  currentPage: 0,
+  productsPerPage: 6,
+  totalProducts: 0,
+  hasMore: true,
+  filters: {
+    query: '',
+    category: '',
+    minPrice: null,
+    maxPrice: null,
+    sort: 'featured'
+  }
+};
+
+// ===== CONFIGURATION =====
+const config = {
+  catalog: {
+    // A static JSON array (paginated in the browser) or an API that accepts
+    // `page`/`limit` and responds with `{ items, page, total, hasMore }`,
+    // serves single products from `{endpoint}/{id}` and looks up cart
+    // lines with `?sku=A,B` (responding with `{ items }`)
+    endpoint: 'products.json',
+    // Categories a product may belong to; labels are `category.<name>`
+    categories: ['running', 'casual', 'hiking', 'dress', 'sports']
+  },
+  checkout: {
+    taxRate: 0.08,
+    freeShippingThreshold: 150,
+    shippingMethods: [
+      // Labels come from the `shipping.<id>` translations
+      { id: 'standard', price: 7.99 },
+      { id: 'express', price: 14.99 },
+      { id: 'overnight', price: 29.99 }
+    ]
+  },
+  i18n: {
+    defaultLocale: 'en',
+    // `tag` drives number and currency formatting; `currency` is the
+    // default for shoppers who haven't picked one
+    locales: {
+      en: { tag: 'en-US', dir: 'ltr', currency: 'USD' },
+      es: { tag: 'es-ES', dir: 'ltr', currency: 'EUR' },
+      ar: { tag: 'ar-AE', dir: 'rtl', currency: 'AED' }
+    }
+  },
+  currency: {
+    // Catalog prices are in the base currency
+    base: 'USD',
+    // Units of each currency per one base unit
+    rates: {
+      USD: 1,
+      EUR: 0.92,
+      GBP: 0.79,
+      AED: 3.67,
+      CAD: 1.36
+    }
+  },
+  // Rules without a `code` apply automatically. `type` is `percent`,
+  // `fixed` (in the base currency) or `bogo`; `category`, `minSpend`,
+  // `startsAt` and `endsAt` are optional.
+  promotions: [
+    { id: 'hiking-sale', type: 'percent', percent: 20, category: 'hiking', endsAt: '2027-01-31T23:59:59' },
+    { id: 'welcome', code: 'WELCOME10', type: 'percent', percent: 10 },
+    { id: 'save-25', code: 'SAVE25', type: 'fixed', amount: 25, minSpend: 200 },
+    { id: 'casual-pair', code: 'PAIRUP', type: 'bogo', category: 'casual' },
+    { id: 'summer-24', code: 'SUMMER24', type: 'percent', percent: 15, endsAt: '2024-08-31T23:59:59' }
+  ],
+  inventory: {
+    // Cards and sizes at or below this count show "Only N left"
+    lowStockThreshold: 3
+  },
+  payment: {
+    // Name of a registered adapter in `payments`
+    adapter: 'mock'
+  },
+  contact: {
+    // Name of a registered transport in `contactTransport`
+    transport: 'http',
+    // Receives the message as JSON; 400/422 responses may include
+    // `{ errors: { fieldName: message } }`
+    endpoint: 'api/contact'
+  },
+  reviews: {
+    // Name of a registered store in `reviewStore`: `local` keeps reviews in
+    // IndexedDB for development; `http` lists a product's reviews from
+    // `endpoint?product=id` (`{ items }`), ratings for several products from
+    // `endpoint?summary=a,b` (`{ summaries }`) and POSTs new reviews there
+    store: 'local',
+    endpoint: 'api/reviews'
+  },
+  admin: {
+    // SHA-256 hex digest of the passcode for #/admin; the editor stays off
+    // until a deployment sets its own. This only keeps shoppers out of the
+    // editor: its changes stay in the browser they were made in, and the
+    // shop's data isn't touched.
+    passcodeHash: ''
+  },
+  compare: {
+    limit: 4
+  },
+  recommendations: {
+    // Points a candidate earns against each product it's compared with
+    weights: {
+      category: 3,
+      priceBand: 2,
+      together: 4
+    },
+    // Prices within this fraction of each other share a band
+    priceBand: 0.2,
+    gridLimit: 4,
+    cartLimit: 3,
+    recentLimit: 8,
+    // Cart snapshots kept for co-occurrence
+    historyLimit: 20
+  },
+  notifications: {
+    maxVisible: 3,
+    // Milliseconds before a toast closes itself, by type
+    durations: {
+      success: 4000,
+      info: 5000,
+      warning: 8000,
+      error: 10000
+    },
+    // Minimum time left once the pointer or focus leaves a toast
+    resumeDelay: 2000,
+    announceWindow: 5000
+  },
+  analytics: {
+    // Name of a registered sink in `analytics`: `console` logs batches
+    // during development, `http` posts them to `endpoint`; null sends nothing
+    sink: null,
+    endpoint: 'api/events',
+    batchSize: 20,
+    flushInterval: 10000
+  }
 };
 
 // ===== DOM ELEMENTS =====
@@ -15,11 +312,125 @@ const elements = {
   themeIcon: document.getElementById('theme-icon'),
   mobileMenuToggle: document.getElementById('mobile-menu-toggle'),
   navMenu: document.getElementById('nav-menu'),
+  localeSwitcher: document.getElementById('locale-switcher'),
+  currencySwitcher: document.getElementById('currency-switcher'),
+  wishlistButton: document.getElementById('wishlist-button'),
+  wishlistCount: document.getElementById('wishlist-count'),
+  wishlistDrawer: document.getElementById('wishlist-drawer'),
+  wishlistOverlay: document.getElementById('wishlist-overlay'),
+  wishlistClose: document.getElementById('wishlist-close'),
+  wishlistItems: document.getElementById('wishlist-items'),
+  wishlistEmpty: document.getElementById('wishlist-empty'),
+  reviewsSummary: document.getElementById('reviews-summary'),
+  reviewsSort: document.getElementById('reviews-sort'),
+  reviewsWrite: document.getElementById('reviews-write'),
+  reviewsEmpty: document.getElementById('reviews-empty'),
+  reviewsList: document.getElementById('reviews-list'),
+  reviewForm: document.getElementById('review-form'),
+  reviewRatingOptions: document.getElementById('review-rating-options'),
+  reviewCancel: document.getElementById('review-cancel'),
+  adminModal: document.getElementById('admin-modal'),
+  adminOverlay: document.getElementById('admin-overlay'),
+  adminClose: document.getElementById('admin-close'),
+  adminLock: document.getElementById('admin-lock'),
+  adminBody: document.getElementById('admin-body'),
+  adminNew: document.getElementById('admin-new'),
+  adminImport: document.getElementById('admin-import'),
+  adminExportCsv: document.getElementById('admin-export-csv'),
+  adminExportJson: document.getElementById('admin-export-json'),
+  adminPublish: document.getElementById('admin-publish'),
+  adminImportReport: document.getElementById('admin-import-report'),
+  adminList: document.getElementById('admin-list'),
+  adminEmpty: document.getElementById('admin-empty'),
+  adminForm: document.getElementById('admin-form'),
+  adminFormTitle: document.getElementById('admin-form-title'),
+  adminCancel: document.getElementById('admin-cancel'),
+  compareTray: document.getElementById('compare-tray'),
+  compareTrayList: document.getElementById('compare-tray-list'),
+  compareTrayHint: document.getElementById('compare-tray-hint'),
+  compareTrayOpen: document.getElementById('compare-tray-open'),
+  compareTrayClear: document.getElementById('compare-tray-clear'),
+  compareModal: document.getElementById('compare-modal'),
+  compareOverlay: document.getElementById('compare-overlay'),
+  compareClose: document.getElementById('compare-close'),
+  compareTable: document.getElementById('compare-table'),
+  recentlyViewed: document.getElementById('recently-viewed'),
+  recentlyViewedList: document.getElementById('recently-viewed-list'),
+  recentlyViewedClear: document.getElementById('recently-viewed-clear'),
+  recommendations: document.getElementById('recommendations'),
+  recommendationsList: document.getElementById('recommendations-list'),
+  cartRecommendations: document.getElementById('cart-recommendations'),
+  cartRecommendationsList: document.getElementById('cart-recommendations-list'),
   cartCount: document.getElementById('cart-count'),
+  cartButton: document.getElementById('cart-button'),
+  cartDrawer: document.getElementById('cart-drawer'),
+  cartOverlay: document.getElementById('cart-overlay'),
+  cartClose: document.getElementById('cart-close'),
+  cartItems: document.getElementById('cart-items'),
+  cartEmpty: document.getElementById('cart-empty'),
+  cartContinue: document.getElementById('cart-continue'),
+  cartFooter: document.getElementById('cart-footer'),
+  cartSubtotal: document.getElementById('cart-subtotal'),
+  cartDiscounts: document.getElementById('cart-discounts'),
+  cartTotalRow: document.getElementById('cart-total-row'),
+  cartTotal: document.getElementById('cart-total'),
+  promoForm: document.getElementById('promo-form'),
+  promoCode: document.getElementById('promo-code'),
+  promoApplied: document.getElementById('promo-applied'),
+  cartClear: document.getElementById('cart-clear'),
+  cartCheckout: document.getElementById('cart-checkout'),
+  cartNotice: document.getElementById('cart-notice'),
+  checkoutModal: document.getElementById('checkout-modal'),
+  checkoutOverlay: document.getElementById('checkout-overlay'),
+  checkoutClose: document.getElementById('checkout-close'),
+  checkoutSteps: document.getElementById('checkout-steps'),
+  checkoutForm: document.getElementById('checkout-form'),
+  shippingMethods: document.getElementById('shipping-methods'),
+  checkoutPaymentError: document.getElementById('checkout-payment-error'),
+  checkoutReview: document.getElementById('checkout-review'),
+  checkoutConfirmation: document.getElementById('checkout-confirmation'),
+  checkoutOrderNumber: document.getElementById('checkout-order-number'),
+  checkoutOrderEmail: document.getElementById('checkout-order-email'),
+  checkoutDone: document.getElementById('checkout-done'),
+  checkoutReceipt: document.getElementById('checkout-receipt'),
+  ordersButton: document.getElementById('orders-button'),
+  ordersModal: document.getElementById('orders-modal'),
+  ordersOverlay: document.getElementById('orders-overlay'),
+  ordersClose: document.getElementById('orders-close'),
+  ordersList: document.getElementById('orders-list'),
+  ordersEmpty: document.getElementById('orders-empty'),
+  ordersContinue: document.getElementById('orders-continue'),
+  receiptModal: document.getElementById('receipt-modal'),
+  receiptOverlay: document.getElementById('receipt-overlay'),
+  receiptClose: document.getElementById('receipt-close'),
+  receiptContent: document.getElementById('receipt-content'),
+  receiptPrint: document.getElementById('receipt-print'),
+  receiptReorder: document.getElementById('receipt-reorder'),
+  checkoutFooter: document.getElementById('checkout-footer'),
+  checkoutTotals: document.getElementById('checkout-totals'),
+  checkoutBack: document.getElementById('checkout-back'),
+  checkoutNext: document.getElementById('checkout-next'),
   productsGrid: document.getElementById('products-grid'),
   loadMoreBtn: document.getElementById('load-more'),
+  productSearch: document.getElementById('product-search'),
+  productSort: document.getElementById('product-sort'),
+  categoryChips: document.getElementById('category-chips'),
+  priceMin: document.getElementById('price-min'),
+  priceMax: document.getElementById('price-max'),
+  productsResults: document.getElementById('products-results'),
+  productsEmpty: document.getElementById('products-empty'),
+  clearFilters: document.getElementById('clear-filters'),
+  notFound: document.getElementById('not-found'),
+  notFoundOverlay: document.getElementById('not-found-overlay'),
+  notFoundHome: document.getElementById('not-found-home'),
+  productDetail: document.getElementById('product-detail'),
+  productDetailOverlay: document.getElementById('product-detail-overlay'),
+  productDetailClose: document.getElementById('product-detail-close'),
+  productDetailContent: document.getElementById('product-detail-content'),
   contactForm: document.getElementById('contact-form'),
-  toastContainer: document.getElementById('toast-container')
+  toastContainer: document.getElementById('toast-container'),
+  toastStatus: document.getElementById('toast-status'),
+  toastAlert: document.getElementById('toast-alert')
 };
 
 // ===== UTILITY FUNCTIONS =====
@@ -56,12 +467,17 @@ const utils = {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   },
 
-  // Format currency
+  // Format a base-currency amount in the shopper's currency and locale
   formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
+    return new Intl.NumberFormat(i18n.getLocaleTag(), {
       style: 'currency',
-      currency: 'USD'
-    }).format(amount);
+      currency: state.currency
+    }).format(this.convertCurrency(amount));
+  },
+
+  convertCurrency(amount) {
+    const rate = config.currency.rates[state.currency] || 1;
+    return Math.round(amount * rate * 100) / 100;
   },
 
   // Check if element is in viewport
@@ -87,595 +503,5522 @@ const utils = {
   }
 };
 
-// ===== THEME MANAGEMENT =====
-const themeManager = {
-  init() {
-    this.setTheme(state.theme);
-    this.bindEvents();
+// ===== SAFE TEMPLATING =====
+// `templates.html` is a tagged template: interpolated values are escaped
+// unless they are themselves `templates.html`/`templates.trusted` results,
+// and arrays render item by item, so nested markup needs no `.join('')`.
+const templates = {
+  marker: Symbol('trusted-html'),
+
+  entities: {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
   },
 
-  setTheme(theme) {
-    state.theme = theme;
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-    
-    // Update theme icon
-    if (elements.themeIcon) {
-      elements.themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
-    }
+  html(strings, ...values) {
+    const markup = strings.reduce((result, string, index) => (
+      result + string + (index < values.length ? this.render(values[index]) : '')
+    ), '');
+
+    return this.trusted(markup);
   },
 
-  toggleTheme() {
-    const newTheme = state.theme === 'light' ? 'dark' : 'light';
-    this.setTheme(newTheme);
-    
-    // Add animation class for smooth transition
-    document.body.classList.add('theme-transitioning');
-    setTimeout(() => {
-      document.body.classList.remove('theme-transitioning');
-    }, 300);
+  // Only for markup that never contains outside data
+  trusted(markup) {
+    return { [this.marker]: true, toString: () => markup };
   },
 
-  bindEvents() {
-    if (elements.themeToggle) {
-      elements.themeToggle.addEventListener('click', () => {
-        this.toggleTheme();
-        this.showToast('Theme changed', 'success');
-      });
+  isTrusted(value) {
+    return Boolean(value && value[this.marker]);
+  },
+
+  render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(item => this.render(item)).join('');
+    if (this.isTrusted(value)) return value.toString();
+
+    return this.escape(value);
+  },
+
+  escape(value) {
+    return String(value).replace(/[&<>"'`]/g, char => this.entities[char]);
+  },
+
+  // Allows http(s), same-origin relative paths and inline images; anything
+  // else (javascript:, vbscript:, data:text/html...) renders as empty
+  url(value) {
+    // Browsers ignore tabs and newlines anywhere in a URL and control
+    // characters at its ends, so `java\tscript:` still means javascript:
+    const url = String(value || '')
+      .replace(/[\t\n\r]/g, '')
+      .replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+    if (!url) return '';
+
+    if (/^data:image\/(png|jpe?g|gif|webp|avif);/i.test(url)) return url;
+
+    try {
+      const page = new URL(document.baseURI);
+      const resolved = new URL(url, page);
+
+      if (/^[a-z][a-z\d+.-]*:/i.test(url)) {
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? url : '';
+      }
+
+      // A relative path must stay on this site; `/\evil.com` resolves like `//evil.com`
+      return resolved.protocol === page.protocol && resolved.host === page.host ? url : '';
+    } catch (error) {
+      return '';
     }
   },
 
-  showToast(message, type = 'info') {
-    const toast = this.createToast(message, type);
-    elements.toastContainer.appendChild(toast);
-    
-    // Trigger animation
-    setTimeout(() => toast.classList.add('show'), 100);
-    
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-      toast.classList.remove('show');
-      setTimeout(() => {
-        if (toast.parentNode) {
-          toast.parentNode.removeChild(toast);
-        }
-      }, 300);
-    }, 5000);
+  // Swatch colors go into a style attribute, so only hex values pass
+  color(value) {
+    return /^#([\da-f]{3}|[\da-f]{6})$/i.test(String(value)) ? value : 'transparent';
+  }
+};
+
+// ===== EVENT BUS =====
+// Modules publish what happened and the UI and analytics subscribe,
+// instead of each action updating counters and toasts itself
+const events = {
+  // Known event types and the detail each one carries
+  types: {
+    'cart:add': 'product, variant, quantity',
+    'cart:update': 'item, quantity',
+    'cart:remove': 'item',
+    'cart:clear': 'items',
+    'cart:change': 'cart',
+    'wishlist:toggle': 'product, added, silent',
+    'product:view': 'product',
+    'theme:change': 'theme, resolved',
+    'form:submit': 'form, status',
+    // A summary only: contact, shipping and payment details stay in checkout
+    'checkout:complete': 'order (number, totals, items of id, sku and quantity)',
+    'catalog:load': 'page, products',
+    'compare:change': 'ids'
   },
 
-  createToast(message, type) {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.setAttribute('role', 'alert');
-    toast.setAttribute('aria-live', 'polite');
-    
-    toast.innerHTML = `
-      <div class="toast-header">
-        <span class="toast-title">${this.getToastTitle(type)}</span>
-        <button class="toast-close" aria-label="Close notification">&times;</button>
-      </div>
-      <div class="toast-message">${message}</div>
-    `;
-    
-    // Add close functionality
-    const closeBtn = toast.querySelector('.toast-close');
-    closeBtn.addEventListener('click', () => {
-      toast.classList.remove('show');
-      setTimeout(() => {
-        if (toast.parentNode) {
-          toast.parentNode.removeChild(toast);
-        }
-      }, 300);
-    });
-    
-    return toast;
+  listeners: {},
+
+  // `'*'` receives every event; returns a function that unsubscribes
+  on(type, handler) {
+    if (type !== '*' && !(type in this.types)) {
+      console.warn('Unknown event type:', type);
+    }
+
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+    return () => this.off(type, handler);
   },
 
-  getToastTitle(type) {
-    const titles = {
-      success: 'Success',
-      error: 'Error',
-      warning: 'Warning',
-      info: 'Info'
-    };
-    return titles[type] || 'Notification';
+  off(type, handler) {
+    this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== handler);
+  },
+
+  emit(type, detail = {}) {
+    if (!(type in this.types)) {
+      console.warn('Unknown event type:', type);
+    }
+
+    // One failing subscriber shouldn't stop the others
+    [...(this.listeners[type] || []), ...(this.listeners['*'] || [])].forEach(handler => {
+      try {
+        handler(detail, type);
+      } catch (error) {
+        console.error(`Error in ${type} listener:`, error);
+      }
+    });
   }
 };
 
-// ===== NAVIGATION MANAGEMENT =====
-const navigation = {
+// ===== LOCALIZATION =====
+// Strings live in locales.js. Static markup is translated through
+// `data-i18n="key"` (text) and `data-i18n-attr="attribute:key; ..."`.
+const i18n = {
   init() {
+    if (!config.i18n.locales[state.locale]) {
+      state.locale = config.i18n.defaultLocale;
+    }
+    if (!config.currency.rates[state.currency]) {
+      state.currency = config.i18n.locales[state.locale].currency;
+    }
+
+    this.applyLocale();
     this.bindEvents();
-    this.updateActiveLink();
   },
 
   bindEvents() {
-    // Mobile menu toggle
-    if (elements.mobileMenuToggle) {
-      elements.mobileMenuToggle.addEventListener('click', () => {
-        this.toggleMobileMenu();
+    // Preferences changed in another tab
+    storage.watch('locale', (locale) => this.setLocale(locale || config.i18n.defaultLocale));
+    storage.watch('currency', (currency) => this.setCurrency(currency || config.i18n.locales[state.locale].currency));
+
+    if (elements.localeSwitcher) {
+      elements.localeSwitcher.addEventListener('change', () => {
+        this.setLocale(elements.localeSwitcher.value);
       });
     }
 
-    // Smooth scroll for navigation links
-    const navLinks = document.querySelectorAll('.nav-link[href^="#"]');
-    navLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        const targetId = link.getAttribute('href').substring(1);
-        const targetElement = document.getElementById(targetId);
-        
-        if (targetElement) {
-          utils.scrollToElement(targetElement, 80);
-          this.closeMobileMenu();
-        }
+    if (elements.currencySwitcher) {
+      elements.currencySwitcher.addEventListener('change', () => {
+        this.setCurrency(elements.currencySwitcher.value);
       });
-    });
+    }
+  },
 
-    // Close mobile menu when clicking outside
-    document.addEventListener('click', (e) => {
-      if (!elements.navMenu.contains(e.target) && 
-          !elements.mobileMenuToggle.contains(e.target) &&
-          elements.navMenu.classList.contains('active')) {
-        this.closeMobileMenu();
-      }
-    });
+  // Plural strings pick their form from `params.count`
+  t(key, params = {}) {
+    const bundle = translations[state.locale] || {};
+    let message = key in bundle ? bundle[key] : translations[config.i18n.defaultLocale][key];
 
-    // Update active link on scroll
-    window.addEventListener('scroll', utils.throttle(() => {
-      this.updateActiveLink();
-    }, 100));
-  },
+    if (message === undefined) return key;
 
-  toggleMobileMenu() {
-    const isActive = elements.navMenu.classList.contains('active');
-    
-    if (isActive) {
-      this.closeMobileMenu();
-    } else {
-      this.openMobileMenu();
+    if (typeof message === 'object') {
+      const category = new Intl.PluralRules(this.getLocaleTag()).select(params.count);
+      message = message[category] || message.other;
     }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
   },
 
-  openMobileMenu() {
-    elements.navMenu.classList.add('active');
-    elements.mobileMenuToggle.classList.add('active');
-    elements.mobileMenuToggle.setAttribute('aria-expanded', 'true');
-    document.body.style.overflow = 'hidden';
+  // Like `t`, but escapes the message and accepts `templates.html` values
+  // as params, e.g. a price with sale markup
+  html(key, params = {}) {
+    const message = templates.escape(this.t(key, 'count' in params ? { count: params.count } : {}));
+
+    return templates.trusted(message.replace(/\{(\w+)\}/g, (match, name) => (
+      name in params ? templates.render(params[name]) : match
+    )));
   },
 
-  closeMobileMenu() {
-    elements.navMenu.classList.remove('active');
-    elements.mobileMenuToggle.classList.remove('active');
-    elements.mobileMenuToggle.setAttribute('aria-expanded', 'false');
-    document.body.style.overflow = '';
+  getLocaleTag() {
+    const locale = config.i18n.locales[state.locale] || config.i18n.locales[config.i18n.defaultLocale];
+    return locale.tag;
   },
 
-  updateActiveLink() {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav-link[href^="#"]');
-    
-    let currentSection = '';
-    
-    sections.forEach(section => {
-      const sectionTop = section.getBoundingClientRect().top;
-      const sectionHeight = section.offsetHeight;
-      
-      if (sectionTop <= 100 && sectionTop + sectionHeight > 100) {
-        currentSection = section.getAttribute('id');
-      }
-    });
-    
-    navLinks.forEach(link => {
-      link.classList.remove('active');
-      if (link.getAttribute('href') === `#${currentSection}`) {
-        link.classList.add('active');
-      }
-    });
-  }
-};
+  setLocale(locale) {
+    if (!config.i18n.locales[locale]) return;
 
-// ===== PRODUCT MANAGEMENT =====
-const productManager = {
-  init() {
-    this.loadProducts();
-    this.bindEvents();
+    state.locale = locale;
+    storage.set('locale', locale);
+    this.applyLocale();
+    this.refreshViews();
   },
 
-  async loadProducts() {
-    if (state.isLoading) return;
-    
-    state.isLoading = true;
-    this.showLoadingState();
-    
-    try {
-      // Simulate API call with mock data
-      const products = await this.fetchProducts();
-      state.products = [...state.products, ...products];
-      this.renderProducts(products);
-      this.updateLoadMoreButton();
-    } catch (error) {
-      console.error('Error loading products:', error);
-      themeManager.showToast('Failed to load products. Please try again.', 'error');
-    } finally {
-      state.isLoading = false;
-      this.hideLoadingState();
-    }
+  setCurrency(currency) {
+    if (!config.currency.rates[currency]) return;
+
+    state.currency = currency;
+    storage.set('currency', currency);
+    this.translatePage();
+    this.syncSwitchers();
+    this.refreshViews();
   },
 
-  async fetchProducts() {
-    // Mock product data - in a real app, this would be an API call
-    const mockProducts = [
-      {
-        id: utils.generateId(),
-        name: 'Nox Runner Pro',
-        description: 'Premium running shoes with advanced cushioning technology.',
-        price: 149.99,
-        image: 'https://images.unsplash.com/photo-1549298916-b41d501d3772?w=400&h=400&fit=crop&crop=center',
-        badge: 'New',
-        category: 'running'
-      },
-      {
-        id: utils.generateId(),
-        name: 'Nox Urban Walker',
-        description: 'Stylish casual shoes perfect for city exploration.',
-        price: 129.99,
-        image: 'https://images.unsplash.com/photo-1606107557195-0e29a4b5b4aa?w=400&h=400&fit=crop&crop=center',
-        badge: 'Popular',
-        category: 'casual'
-      },
-      {
-        id: utils.generateId(),
-        name: 'Nox Trail Master',
-        description: 'Rugged hiking boots for outdoor adventures.',
-        price: 179.99,
-        image: 'https://images.unsplash.com/photo-1544966503-7cc5ac882d5f?w=400&h=400&fit=crop&crop=center',
-        badge: 'Best Seller',
-        category: 'hiking'
-      },
-      {
-        id: utils.generateId(),
-        name: 'Nox Classic Oxford',
-        description: 'Elegant dress shoes for formal occasions.',
-        price: 199.99,
-        image: 'https://images.unsplash.com/photo-1582897085656-c636d006a246?w=400&h=400&fit=crop&crop=center',
-        badge: 'Premium',
-        category: 'dress'
-      },
-      {
-        id: utils.generateId(),
-        name: 'Nox Sport Max',
-        description: 'High-performance athletic shoes for all sports.',
-        price: 159.99,
-        image: 'https://images.unsplash.com/photo-1595950653106-6c9ebd614d3a?w=400&h=400&fit=crop&crop=center',
-        badge: 'Limited',
-        category: 'sports'
-      },
-      {
-        id: utils.generateId(),
-        name: 'Nox Comfort Plus',
-        description: 'All-day comfort shoes with memory foam insoles.',
-        price: 119.99,
-        image: 'https://images.unsplash.com/photo-1560769629-975ec94e6a86?w=400&h=400&fit=crop&crop=center',
-        badge: 'Comfort',
-        category: 'casual'
-      }
-    ];
-    
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    return mockProducts;
+  applyLocale() {
+    document.documentElement.lang = state.locale;
+    document.documentElement.dir = config.i18n.locales[state.locale].dir;
+    this.translatePage();
+    this.syncSwitchers();
   },
 
-  renderProducts(products) {
-    const fragment = document.createDocumentFragment();
-    
-    products.forEach(product => {
-      const productCard = this.createProductCard(product);
-      fragment.appendChild(productCard);
+  translatePage(root = document) {
+    const params = { currency: state.currency };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.getAttribute('data-i18n'), params);
     });
-    
-    elements.productsGrid.appendChild(fragment);
-    
-    // Add intersection observer for animations
-    this.observeProductCards();
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        element.setAttribute(attribute, this.t(key, params));
+      });
+    });
+
+    this.translateCountries(root);
   },
 
-  createProductCard(product) {
-    const card = document.createElement('div');
-    card.className = 'product-card';
-    card.setAttribute('data-product-id', product.id);
-    
-    card.innerHTML = `
-      <div class="product-image">
-        <img src="${product.image}" alt="${product.name}" loading="lazy">
-        ${product.badge ? `<div class="product-badge">${product.badge}</div>` : ''}
-      </div>
-      <div class="product-content">
-        <h3 class="product-title">${product.name}</h3>
-        <p class="product-description">${product.description}</p>
-        <div class="product-footer">
-          <span class="product-price">${utils.formatCurrency(product.price)}</span>
-          <div class="product-actions">
-            <button class="btn btn-icon" aria-label="Add to favorites" type="button">
-              ♥
-            </button>
-            <button class="btn btn-primary btn-icon" aria-label="Add to cart" type="button">
-              +
-            </button>
-          </div>
-        </div>
-      </div>
-    `;
-    
-    // Add event listeners
-    const addToCartBtn = card.querySelector('.btn-primary');
-    const favoriteBtn = card.querySelector('.btn-icon:first-child');
-    
-    addToCartBtn.addEventListener('click', () => {
-      this.addToCart(product);
+  // Country names come from the browser rather than the bundles
+  translateCountries(root = document) {
+    if (!('DisplayNames' in Intl)) return;
+
+    const names = new Intl.DisplayNames([this.getLocaleTag()], { type: 'region' });
+    root.querySelectorAll('select[autocomplete="country"] option:not([value=""])').forEach(option => {
+      option.textContent = names.of(option.value);
     });
-    
-    favoriteBtn.addEventListener('click', () => {
-      this.toggleFavorite(product.id, favoriteBtn);
+  },
+
+  syncSwitchers() {
+    if (elements.localeSwitcher) {
+      elements.localeSwitcher.value = state.locale;
+    }
+    if (elements.currencySwitcher) {
+      elements.currencySwitcher.value = state.currency;
+    }
+  },
+
+  // Redraw everything rendered from strings or prices at runtime
+  refreshViews() {
+    accessibility.setupAriaLabels();
+    productManager.renderGrid();
+    cartManager.render();
+    wishlistManager.render();
+    recentlyViewed.render();
+    recommendations.render();
+    compareManager.renderTray();
+
+    reviewsManager.renderRatingOptions();
+
+    if (productDetail.isOpen()) {
+      productDetail.render(productDetail.product);
+      reviewsManager.render();
+    }
+    if (checkoutManager.isOpen()) {
+      checkoutManager.refresh();
+    }
+    if (compareManager.isOpen()) {
+      compareManager.renderTable(compareManager.products);
+    }
+    catalogAdmin.refresh();
+    if (orderHistory.isOpen()) {
+      orderHistory.render();
+    }
+    if (receiptView.isOpen()) {
+      receiptView.render();
+    }
+  }
+};
+
+// ===== INDEXEDDB =====
+const database = {
+  name: 'nox',
+  version: 4,
+  connection: null,
+
+  // Object stores created on upgrade; bump `version` when adding one
+  stores: {
+    outbox: { keyPath: 'id', autoIncrement: true },
+    reviews: { keyPath: 'id', autoIncrement: true },
+    catalog: { keyPath: 'id' },
+    orders: { keyPath: 'number' }
+  },
+
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, this.version);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.entries(this.stores).forEach(([name, options]) => {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, options);
+            }
+          });
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer tab upgrade the schema
+          db.onversionchange = () => {
+            db.close();
+            this.connection = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          this.connection = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.connection;
+  },
+
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', store => store.get(key));
+  },
+
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  },
+
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', store => store.put(value));
+  },
+
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', store => store.delete(key));
+  },
+
+  // Swaps a store's contents in one transaction
+  replaceAll(storeName, values) {
+    return this.run(storeName, 'readwrite', store => {
+      const request = store.clear();
+      values.forEach(value => store.put(value));
+      return request;
     });
+  }
+};
+
+// ===== THEME MANAGEMENT =====
+const themeManager = {
+  // The toggle cycles through these; `auto` follows the OS settings
+  preferences: ['light', 'dark', 'contrast', 'auto'],
+  icons: {
+    light: '☀️',
+    dark: '🌙',
+    contrast: '◐',
+    auto: '🌓'
+  },
+
+  init() {
+    if (!this.preferences.includes(state.theme)) {
+      state.theme = 'auto';
+    }
+
+    this.media = {
+      dark: window.matchMedia('(prefers-color-scheme: dark)'),
+      contrast: window.matchMedia('(prefers-contrast: more)')
+    };
+
+    this.applyTheme();
+    this.bindEvents();
+  },
+
+  // The inline script in index.html does the same before first paint
+  resolve(preference = state.theme) {
+    if (preference !== 'auto') return preference;
+    if (this.media.contrast.matches) return 'contrast';
+    return this.media.dark.matches ? 'dark' : 'light';
+  },
+
+  setTheme(preference) {
+    state.theme = preference;
+    storage.set('theme', preference);
+    this.applyTheme();
+  },
+
+  applyTheme() {
+    document.documentElement.setAttribute('data-theme', this.resolve());
+    this.updateToggle();
+  },
+
+  // The label names the current theme and the one a click switches to
+  updateToggle() {
+    if (elements.themeIcon) {
+      elements.themeIcon.textContent = this.icons[state.theme];
+    }
+
+    if (elements.themeToggle) {
+      elements.themeToggle.setAttribute('aria-label', i18n.t('theme.switch', {
+        current: this.getName(state.theme),
+        next: this.getName(this.getNext())
+      }));
+    }
+  },
+
+  getName(preference) {
+    if (preference === 'auto') {
+      return i18n.t('theme.auto', { theme: i18n.t(`theme.${this.resolve('auto')}`) });
+    }
+    return i18n.t(`theme.${preference}`);
+  },
+
+  getNext() {
+    const index = this.preferences.indexOf(state.theme);
+    return this.preferences[(index + 1) % this.preferences.length];
+  },
+
+  toggleTheme() {
+    const newTheme = this.getNext();
+    this.setTheme(newTheme);
+    events.emit('theme:change', { theme: newTheme, resolved: this.resolve() });
     
-    return card;
+    // Add animation class for smooth transition
+    document.body.classList.add('theme-transitioning');
+    setTimeout(() => {
+      document.body.classList.remove('theme-transitioning');
+    }, 300);
   },
 
-  observeProductCards() {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.style.opacity = '1';
-          entry.target.style.transform = 'translateY(0)';
+  bindEvents() {
+    if (elements.themeToggle) {
+      elements.themeToggle.addEventListener('click', () => {
+        this.toggleTheme();
+      });
+    }
+
+    // Follow OS changes live while the preference is `auto`
+    Object.values(this.media).forEach(query => {
+      query.addEventListener('change', () => {
+        if (state.theme === 'auto') {
+          this.applyTheme();
         }
       });
-    }, {
-      threshold: 0.1,
-      rootMargin: '50px'
     });
-    
-    const cards = elements.productsGrid.querySelectorAll('.product-card');
-    cards.forEach(card => {
-      card.style.opacity = '0';
-      card.style.transform = 'translateY(20px)';
-      card.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-      observer.observe(card);
+
+    // Keep tabs in step when the preference changes in another one
+    storage.watch('theme', (theme) => {
+      state.theme = this.preferences.includes(theme) ? theme : 'auto';
+      this.applyTheme();
     });
-  },
 
-  addToCart(product) {
-    const existingItem = state.cart.find(item => item.id === product.id);
-    
-    if (existingItem) {
-      existingItem.quantity += 1;
+    events.on('theme:change', ({ theme }) => {
+      notifications.show(i18n.t('theme.changed', { name: this.getName(theme) }), 'success');
+    });
+  }
+};
+
+// ===== NOTIFICATIONS =====
+// Toasts: at most `maxVisible` on screen with the rest queued, identical
+// messages merged into one with a counter, and timers paused while the
+// shopper hovers over or focuses a toast
+const notifications = {
+  visible: [],
+  queue: [],
+  lastAnnouncement: { message: '', time: 0 },
+
+  // `options.action` adds a button ({ label, onClick }); `options.duration`
+  // overrides the per-type default and 0 keeps the toast until it is closed
+  show(message, type = 'info', options = {}) {
+    const key = `${type}:${message}`;
+
+    // Toasts with actions act on one specific change, so they never merge
+    const existing = options.action ? null : [...this.visible, ...this.queue]
+      .find(notification => notification.key === key && !notification.options.action);
+
+    if (existing) {
+      existing.count += 1;
+      this.updateCount(existing);
+      this.restartTimer(existing);
+      return existing;
+    }
+
+    const { durations } = config.notifications;
+    const notification = {
+      key,
+      message,
+      type,
+      options,
+      count: 1,
+      duration: 'duration' in options ? options.duration : (durations[type] || durations.info)
+    };
+
+    if (this.visible.length < config.notifications.maxVisible) {
+      this.display(notification);
     } else {
-      state.cart.push({
-        ...product,
-        quantity: 1
+      this.queue.push(notification);
+    }
+
+    return notification;
+  },
+
+  display(notification) {
+    notification.element = this.createToast(notification);
+    this.updateCount(notification);
+    this.visible.push(notification);
+    elements.toastContainer.appendChild(notification.element);
+
+    // Trigger animation
+    setTimeout(() => notification.element.classList.add('show'), 100);
+
+    this.announce(notification);
+    this.restartTimer(notification);
+  },
+
+  dismiss(notification) {
+    if (!this.visible.includes(notification)) {
+      this.queue = this.queue.filter(queued => queued !== notification);
+      return;
+    }
+
+    clearTimeout(notification.timer);
+    this.visible = this.visible.filter(visible => visible !== notification);
+
+    const { element } = notification;
+    element.classList.remove('show');
+    setTimeout(() => element.remove(), 300);
+
+    if (this.queue.length) {
+      this.display(this.queue.shift());
+    }
+  },
+
+  createToast(notification) {
+    const { message, type, options } = notification;
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+
+    toast.innerHTML = templates.html`
+      <div class="toast-header">
+        <span class="toast-title">${this.getTitle(type)} <span class="toast-count"></span></span>
+        <button class="toast-close" aria-label="${i18n.t('toast.close')}" type="button">&times;</button>
+      </div>
+      <div class="toast-message">${message}</div>
+      ${options.action ? templates.html`<button class="btn btn-primary toast-action" type="button">${options.action.label}</button>` : ''}
+    `;
+
+    toast.querySelector('.toast-close').addEventListener('click', () => this.dismiss(notification));
+
+    if (options.action) {
+      toast.querySelector('.toast-action').addEventListener('click', () => {
+        options.action.onClick();
+        this.dismiss(notification);
       });
     }
-    
-    this.updateCartCount();
-    this.saveCart();
-    themeManager.showToast(`${product.name} added to cart`, 'success');
-    
-    // Add visual feedback
-    const addBtn = document.querySelector(`[data-product-id="${product.id}"] .btn-primary`);
-    addBtn.style.transform = 'scale(0.95)';
-    setTimeout(() => {
-      addBtn.style.transform = '';
-    }, 150);
+
+    // Hold the toast while it's being read or interacted with
+    toast.addEventListener('mouseenter', () => this.hold(notification, 'hovered', true));
+    toast.addEventListener('mouseleave', () => this.hold(notification, 'hovered', false));
+    toast.addEventListener('focusin', () => this.hold(notification, 'focused', true));
+    toast.addEventListener('focusout', (e) => {
+      if (!toast.contains(e.relatedTarget)) {
+        this.hold(notification, 'focused', false);
+      }
+    });
+
+    return toast;
   },
 
-  toggleFavorite(productId, button) {
-    const isFavorited = button.classList.contains('favorited');
-    
-    if (isFavorited) {
-      button.classList.remove('favorited');
-      button.textContent = '♥';
-      themeManager.showToast('Removed from favorites', 'info');
+  updateCount(notification) {
+    if (!notification.element) return;
+
+    const badge = notification.element.querySelector('.toast-count');
+    badge.textContent = notification.count > 1
+      ? `×${new Intl.NumberFormat(i18n.getLocaleTag()).format(notification.count)}`
+      : '';
+  },
+
+  restartTimer(notification) {
+    this.stopTimer(notification);
+    notification.remaining = notification.duration;
+    this.startTimer(notification);
+  },
+
+  startTimer(notification) {
+    if (!notification.element || notification.duration <= 0) return;
+    if (notification.hovered || notification.focused) return;
+
+    notification.startedAt = Date.now();
+    notification.timer = setTimeout(() => this.dismiss(notification), notification.remaining);
+  },
+
+  stopTimer(notification) {
+    if (!notification.timer) return;
+
+    clearTimeout(notification.timer);
+    notification.timer = null;
+    notification.remaining = Math.max(notification.remaining - (Date.now() - notification.startedAt), 0);
+  },
+
+  hold(notification, reason, isHeld) {
+    notification[reason] = isHeld;
+
+    if (isHeld) {
+      this.stopTimer(notification);
     } else {
-      button.classList.add('favorited');
-      button.textContent = '❤️';
-      themeManager.showToast('Added to favorites', 'success');
+      // Leave a moment to finish reading after the pointer moves away
+      notification.remaining = Math.max(notification.remaining, config.notifications.resumeDelay);
+      this.startTimer(notification);
     }
   },
 
-  updateCartCount() {
-    const totalItems = state.cart.reduce((sum, item) => sum + item.quantity, 0);
-    elements.cartCount.textContent = totalItems;
-    
-    // Add animation
-    elements.cartCount.style.transform = 'scale(1.2)';
+  // Toasts are announced through dedicated live regions, and the same text
+  // isn't read out again within `announceWindow` (merged repeats never are)
+  announce({ message, type }) {
+    const now = Date.now();
+    if (message === this.lastAnnouncement.message && now - this.lastAnnouncement.time < config.notifications.announceWindow) {
+      return;
+    }
+    this.lastAnnouncement = { message, time: now };
+
+    const region = type === 'error' ? elements.toastAlert : elements.toastStatus;
+    if (!region) return;
+
+    // Clearing first makes screen readers treat a repeat as new content
+    region.textContent = '';
     setTimeout(() => {
-      elements.cartCount.style.transform = '';
-    }, 200);
+      region.textContent = message;
+    }, 100);
   },
 
-  saveCart() {
-    localStorage.setItem('cart', JSON.stringify(state.cart));
+  getTitle(type) {
+    const titles = ['success', 'error', 'warning', 'info'];
+    return i18n.t(titles.includes(type) ? `toast.${type}` : 'toast.default');
+  }
+};
+
+// ===== DIALOGS =====
+// Views register here while open; the topmost one owns focus and Escape
+const dialogManager = {
+  stack: [],
+  scrollLocks: new Set(),
+  background: new Map(),
+  focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+
+  // `options.onClose` is what Escape calls; `options.overlay` stays interactive
+  open(element, options = {}) {
+    if (this.isOpen(element)) return;
+
+    const active = document.activeElement;
+    this.releaseBackground();
+    this.stack.push({
+      element,
+      overlay: options.overlay || null,
+      onClose: options.onClose || (() => this.close(element)),
+      returnFocus: active && active !== document.body ? active : null
+    });
+    element.setAttribute('aria-hidden', 'false');
+    this.hideBackground();
+    this.lockScroll(element);
+    element.focus();
+  },
+
+  close(element) {
+    const index = this.stack.findIndex(layer => layer.element === element);
+    if (index === -1) return;
+
+    const [layer] = this.stack.splice(index, 1);
+    this.releaseBackground();
+    element.setAttribute('aria-hidden', 'true');
+    this.hideBackground();
+    this.unlockScroll(element);
+
+    // Closing a layer underneath leaves focus where it is
+    if (index === this.stack.length) {
+      this.restoreFocus(layer.returnFocus);
+    }
+  },
+
+  isOpen(element) {
+    return this.stack.some(layer => layer.element === element);
+  },
+
+  getTop() {
+    return this.stack[this.stack.length - 1] || null;
+  },
+
+  // Escape closes only the topmost layer
+  closeTop() {
+    const layer = this.getTop();
+    if (!layer) return false;
+
+    layer.onClose();
+    return true;
+  },
+
+  trapFocus(e) {
+    const layer = this.getTop();
+    if (!layer) return;
+
+    const focusable = this.getFocusable(layer.element);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      layer.element.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    const outside = !layer.element.contains(active);
+
+    if (e.shiftKey && (outside || active === first || active === layer.element)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (outside || active === last)) {
+      e.preventDefault();
+      first.focus();
+    }
+  },
+
+  getFocusable(container) {
+    return Array.from(container.querySelectorAll(this.focusableSelector))
+      .filter(element => !element.closest('[hidden], [inert]') && element.getClientRects().length > 0);
+  },
+
+  // Toasts stay usable above any layer
+  contains(layer, target) {
+    return [layer.element, layer.overlay, elements.toastContainer]
+      .some(element => element && element.contains(target));
+  },
+
+  restoreFocus(target) {
+    const layer = this.getTop();
+
+    if (target && target.isConnected && !target.closest('[inert]')) {
+      target.focus();
+    } else if (layer) {
+      layer.element.focus();
+    }
+  },
+
+  // Everything outside the top layer is inert; aria-hidden covers browsers without it
+  hideBackground() {
+    const layer = this.getTop();
+    if (!layer) return;
+
+    const keep = [layer.element, layer.overlay, elements.toastContainer, elements.toastStatus, elements.toastAlert];
+    Array.from(document.body.children).forEach(element => {
+      if (keep.includes(element) || element.tagName === 'SCRIPT') return;
+
+      this.background.set(element, element.getAttribute('aria-hidden'));
+      element.setAttribute('inert', '');
+      element.setAttribute('aria-hidden', 'true');
+    });
+  },
+
+  releaseBackground() {
+    this.background.forEach((ariaHidden, element) => {
+      element.removeAttribute('inert');
+      if (ariaHidden === null) {
+        element.removeAttribute('aria-hidden');
+      } else {
+        element.setAttribute('aria-hidden', ariaHidden);
+      }
+    });
+    this.background.clear();
   },
 
-  showLoadingState() {
-    if (elements.loadMoreBtn) {
-      elements.loadMoreBtn.disabled = true;
-      elements.loadMoreBtn.textContent = 'Loading...';
-    }
+  // The page scrolls again once nothing holds a lock
+  lockScroll(owner) {
+    this.scrollLocks.add(owner);
+    document.body.style.overflow = 'hidden';
+  },
+
+  unlockScroll(owner) {
+    this.scrollLocks.delete(owner);
+    if (this.scrollLocks.size === 0) {
+      document.body.style.overflow = '';
+    }
+  }
+};
+
+// ===== NAVIGATION MANAGEMENT =====
+const navigation = {
+  init() {
+    this.bindEvents();
+    this.updateActiveLink();
+  },
+
+  bindEvents() {
+    // Mobile menu toggle
+    if (elements.mobileMenuToggle) {
+      elements.mobileMenuToggle.addEventListener('click', () => {
+        this.toggleMobileMenu();
+      });
+    }
+
+    // Smooth scroll for navigation links
+    const navLinks = document.querySelectorAll('.nav-link[href^="#"]');
+    navLinks.forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const targetId = link.getAttribute('href').substring(1);
+        const targetElement = document.getElementById(targetId);
+        
+        if (targetElement) {
+          utils.scrollToElement(targetElement, 80);
+          this.closeMobileMenu();
+        }
+      });
+    });
+
+    // Close mobile menu when clicking outside
+    document.addEventListener('click', (e) => {
+      if (!elements.navMenu.contains(e.target) && 
+          !elements.mobileMenuToggle.contains(e.target) &&
+          elements.navMenu.classList.contains('active')) {
+        this.closeMobileMenu();
+      }
+    });
+
+    // Update active link on scroll
+    window.addEventListener('scroll', utils.throttle(() => {
+      this.updateActiveLink();
+    }, 100));
+  },
+
+  toggleMobileMenu() {
+    const isActive = elements.navMenu.classList.contains('active');
+    
+    if (isActive) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  },
+
+  openMobileMenu() {
+    elements.navMenu.classList.add('active');
+    elements.mobileMenuToggle.classList.add('active');
+    elements.mobileMenuToggle.setAttribute('aria-expanded', 'true');
+    dialogManager.lockScroll(elements.navMenu);
+  },
+
+  closeMobileMenu() {
+    elements.navMenu.classList.remove('active');
+    elements.mobileMenuToggle.classList.remove('active');
+    elements.mobileMenuToggle.setAttribute('aria-expanded', 'false');
+    dialogManager.unlockScroll(elements.navMenu);
+  },
+
+  updateActiveLink() {
+    const sections = document.querySelectorAll('section[id]');
+    const navLinks = document.querySelectorAll('.nav-link[href^="#"]');
+    
+    let currentSection = '';
+    
+    sections.forEach(section => {
+      const sectionTop = section.getBoundingClientRect().top;
+      const sectionHeight = section.offsetHeight;
+      
+      if (sectionTop <= 100 && sectionTop + sectionHeight > 100) {
+        currentSection = section.getAttribute('id');
+      }
+    });
+    
+    navLinks.forEach(link => {
+      link.classList.remove('active');
+      if (link.getAttribute('href') === `#${currentSection}`) {
+        link.classList.add('active');
+      }
+    });
+  }
+};
+
+// ===== CATALOG =====
+const catalogProvider = {
+  products: null,
+  isApi: false,
+
+  async fetchPage(page, perPage, { fresh = false } = {}) {
+    const url = new URL(config.catalog.endpoint, document.baseURI);
+    url.searchParams.set('page', page);
+    url.searchParams.set('limit', perPage);
+    
+    // Static files return the whole catalog, so it is fetched once and sliced
+    if (!this.products) {
+      // A catalog published from the admin editor stands in for the configured one
+      const data = (await catalogAdmin.getPublished()) || await this.request(url, { fresh });
+      
+      if (!Array.isArray(data)) {
+        this.isApi = true;
+        return this.normalizePage(data, page, perPage);
+      }
+      
+      this.products = data;
+    }
+    
+    const start = (page - 1) * perPage;
+    return {
+      items: this.products.slice(start, start + perPage),
+      page,
+      total: this.products.length,
+      hasMore: start + perPage < this.products.length
+    };
+  },
+
+  async getProduct(id) {
+    const loaded = state.products.find(product => product.id === id);
+    if (loaded) return loaded;
+    
+    // Deep links can ask for a product before the first page has loaded
+    if (!this.products && !this.isApi) {
+      await this.fetchPage(1, state.productsPerPage);
+    }
+    
+    if (this.products) {
+      return this.products.find(product => product.id === id) || null;
+    }
+    
+    const url = new URL(`${config.catalog.endpoint.replace(/\/$/, '')}/${encodeURIComponent(id)}`, document.baseURI);
+    try {
+      return await this.request(url);
+    } catch (error) {
+      console.error('Error loading product:', error);
+      return null;
+    }
+  },
+
+  // `fresh` re-downloads a static catalog, so prices checked before
+  // checkout aren't the ones loaded when the page opened
+  async getProductsBySku(skus, { fresh = false } = {}) {
+    if (fresh && !this.isApi) {
+      this.products = null;
+    }
+
+    if (!this.products && !this.isApi) {
+      await this.fetchPage(1, state.productsPerPage, { fresh });
+    }
+
+    if (this.products) {
+      return this.products.filter(product => skus.includes(product.sku));
+    }
+
+    const url = new URL(config.catalog.endpoint, document.baseURI);
+    url.searchParams.set('sku', skus.join(','));
+    const data = await this.request(url, { fresh });
+    return data.items || [];
+  },
+
+  normalizePage(data, page, perPage) {
+    const items = data.items || [];
+    const total = Number.isFinite(data.total) ? data.total : items.length;
+    
+    return {
+      items,
+      page: data.page || page,
+      total,
+      hasMore: typeof data.hasMore === 'boolean' ? data.hasMore : page * perPage < total
+    };
+  },
+
+  // `no-store` skips the HTTP cache, and sw.js leaves such requests to
+  // the network too
+  async request(url, { fresh = false } = {}) {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      cache: fresh ? 'no-store' : 'default'
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Catalog request failed with status ${response.status}`);
+    }
+    
+    return response.json();
+  }
+};
+
+// ===== PRODUCT MANAGEMENT =====
+const productManager = {
+  init() {
+    this.loadProducts();
+    this.bindEvents();
+  },
+
+  async loadProducts(page = state.currentPage + 1) {
+    if (state.isLoading) return;
+    
+    state.isLoading = true;
+    this.showLoadingState();
+    
+    try {
+      const { items, total, hasMore } = await this.fetchProducts(page);
+      
+      // Ignore anything already on the page in case the catalog shifted
+      const products = items.filter(product => !state.products.some(existing => existing.id === product.id));
+      
+      state.products = [...state.products, ...products];
+      state.currentPage = page;
+      state.totalProducts = total;
+      state.hasMore = hasMore;
+      events.emit('catalog:load', { page, products });
+      
+      // Filters and sorting apply to everything loaded so far, so the
+      // grid is rebuilt; in the default view new cards are just appended
+      if (productFilters.isActive()) {
+        this.renderGrid();
+      } else {
+        this.renderProducts(products);
+        productFilters.updateResults();
+      }
+    } catch (error) {
+      console.error('Error loading products:', error);
+      notifications.show(i18n.t('products.loadError'), 'error');
+    } finally {
+      state.isLoading = false;
+      this.hideLoadingState();
+      this.updateLoadMoreButton();
+    }
+  },
+
+  fetchProducts(page) {
+    return catalogProvider.fetchPage(page, state.productsPerPage);
+  },
+
+  // Starts over from the first page, e.g. after the catalog source changed
+  reload() {
+    catalogProvider.products = null;
+    state.products = [];
+    state.currentPage = 0;
+    elements.productsGrid.innerHTML = '';
+    return this.loadProducts(1);
+  },
+
+  renderProducts(products) {
+    const fragment = document.createDocumentFragment();
+    
+    products.forEach(product => {
+      const productCard = this.createProductCard(product);
+      fragment.appendChild(productCard);
+    });
+    
+    elements.productsGrid.appendChild(fragment);
+    
+    // Add intersection observer for animations
+    this.observeProductCards();
+  },
+
+  renderGrid() {
+    elements.productsGrid.innerHTML = '';
+    this.renderProducts(productFilters.apply(state.products));
+    productFilters.updateResults();
+  },
+
+  createProductCard(product) {
+    const card = document.createElement('div');
+    card.className = 'product-card';
+    card.setAttribute('data-product-id', product.id);
+    
+    const stock = this.getStock(product);
+    const isSoldOut = stock === 0;
+    
+    card.innerHTML = templates.html`
+      <div class="product-image">
+        <img src="${templates.url(product.image)}" alt="${product.name}" loading="lazy">
+        <div class="product-badges">
+          ${product.badge ? templates.html`<span class="product-badge">${product.badge}</span>` : ''}
+          ${this.getStockBadge(stock)}
+        </div>
+      </div>
+      <div class="product-content">
+        <h3 class="product-title">
+          <a class="product-link" href="#/product/${encodeURIComponent(product.id)}">${product.name}</a>
+        </h3>
+        <div class="product-rating">${reviewsManager.getRatingHtml(reviewsManager.summaries[product.id])}</div>
+        <p class="product-description">${product.description}</p>
+        <label class="product-compare">
+          <input type="checkbox" class="compare-toggle" ${compareManager.has(product.id) ? 'checked' : ''}>
+          <span>${i18n.t('compare.add')}</span>
+        </label>
+        <div class="product-footer">
+          <span class="product-price">${this.getPriceHtml(product)}</span>
+          <div class="product-actions">
+            <button class="btn btn-icon" aria-label="${i18n.t('product.addToFavorites')}" aria-pressed="false" type="button">
+              ♥
+            </button>
+            <button class="btn btn-primary btn-icon" aria-label="${i18n.t(isSoldOut ? 'stock.soldOut' : 'product.addToCart')}" type="button" ${isSoldOut ? 'disabled' : ''}>
+              +
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    // Add event listeners
+    const addToCartBtn = card.querySelector('.btn-primary');
+    const favoriteBtn = card.querySelector('.btn-icon:first-child');
+    const compareToggle = card.querySelector('.compare-toggle');
+    
+    const productImage = card.querySelector('.product-image img');
+    const productPath = `/product/${encodeURIComponent(product.id)}`;
+    
+    // Shoes need a size, so the add button opens the detail view for them
+    addToCartBtn.addEventListener('click', () => {
+      if (this.hasVariants(product)) {
+        router.navigate(productPath);
+      } else {
+        this.addToCart(product);
+      }
+    });
+    
+    productImage.addEventListener('click', () => {
+      router.navigate(productPath);
+    });
+    
+    wishlistManager.updateButton(favoriteBtn, wishlistManager.has(product.id));
+    favoriteBtn.addEventListener('click', () => {
+      wishlistManager.toggle(product);
+    });
+    
+    compareToggle.addEventListener('change', () => {
+      compareManager.toggle(product.id);
+      // A full tray refuses the product
+      compareToggle.checked = compareManager.has(product.id);
+    });
+    
+    return card;
+  },
+
+  observeProductCards() {
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.style.opacity = '1';
+          entry.target.style.transform = 'translateY(0)';
+        }
+      });
+    }, {
+      threshold: 0.1,
+      rootMargin: '50px'
+    });
+    
+    const cards = elements.productsGrid.querySelectorAll('.product-card');
+    cards.forEach(card => {
+      card.style.opacity = '0';
+      card.style.transform = 'translateY(20px)';
+      card.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+      observer.observe(card);
+    });
+  },
+
+  hasVariants(product) {
+    return Boolean(product.sizes && product.sizes.length);
+  },
+
+  // Stock is either a count per size (`{ "9": 4 }`) or a single count;
+  // products without a `stock` field are treated as unlimited
+  getStock(product, variant = {}) {
+    const { stock } = product;
+
+    if (stock === undefined || stock === null) return Infinity;
+    if (typeof stock === 'number') return stock;
+    if (variant.size) return stock[variant.size] || 0;
+
+    return Object.values(stock).reduce((sum, count) => sum + count, 0);
+  },
+
+  // Stock is either one count for the product or a count per size;
+  // widths and colors never have their own
+  isStockBySize(product) {
+    return Boolean(product.stock) && typeof product.stock === 'object';
+  },
+
+  // Compact card for the recently viewed and recommendation rails
+  createRailItem(product) {
+    const li = document.createElement('li');
+    li.className = 'rail-item';
+    li.innerHTML = templates.html`
+      <a class="rail-link" href="#/product/${encodeURIComponent(product.id)}">
+        <img class="rail-image" src="${templates.url(product.image)}" alt="" loading="lazy">
+        <span class="rail-name">${product.name}</span>
+        <span class="rail-price">${this.getPriceHtml(product)}</span>
+      </a>
+    `;
+    return li;
+  },
+
+  // Sale prices show the catalog price crossed out next to them
+  getPriceHtml(product) {
+    const salePrice = promotions.getSalePrice(product);
+
+    if (salePrice >= product.price) {
+      return utils.formatCurrency(product.price);
+    }
+
+    return templates.html`<del class="price-original">${utils.formatCurrency(product.price)}</del><span class="price-sale">${utils.formatCurrency(salePrice)}</span>`;
+  },
+
+  isLowStock(count) {
+    return count > 0 && count <= config.inventory.lowStockThreshold;
+  },
+
+  getStockBadge(count) {
+    if (count === 0) {
+      return templates.html`<span class="product-badge stock-badge sold-out">${i18n.t('stock.soldOut')}</span>`;
+    }
+    if (this.isLowStock(count)) {
+      return templates.html`<span class="product-badge stock-badge low-stock">${i18n.t('stock.low', { count })}</span>`;
+    }
+    return '';
+  },
+
+  // Cart lines are keyed by SKU and variant, so a 9 and a 10 of the
+  // same shoe are separate lines
+  getLineId(sku, variant = {}) {
+    return [sku, variant.size, variant.width, variant.color].filter(Boolean).join(':');
+  },
+
+  formatVariant(variant = {}) {
+    const parts = [];
+    if (variant.size) parts.push(i18n.t('product.sizeValue', { size: variant.size }));
+    if (variant.width) parts.push(variant.width);
+    if (variant.color) parts.push(variant.color);
+    return parts.join(' · ');
+  },
+
+  // Returns false when there isn't enough stock left for the variant
+  addToCart(product, variant = {}, quantity = 1) {
+    const lineId = this.getLineId(product.sku, variant);
+    const existingItem = cartManager.findItem(lineId);
+    const stock = this.getStock(product, variant);
+    const inCart = cartManager.getHeldQuantity(product.sku, variant.size, this.isStockBySize(product));
+    
+    if (inCart + quantity > stock) {
+      notifications.show(i18n.t('stock.limit', { count: stock, name: product.name }), 'warning');
+      return false;
+    }
+    
+    if (existingItem) {
+      existingItem.quantity += quantity;
+      cartManager.hydrate(existingItem, product);
+    } else {
+      state.cart.push(cartManager.hydrate(cartManager.createLine({ sku: product.sku, variant, quantity }), product));
+    }
+    
+    cartManager.sync();
+    events.emit('cart:add', { product, variant, quantity });
+    
+    // Add visual feedback
+    const addBtn = document.querySelector(`[data-product-id="${product.id}"] .btn-primary`);
+    if (addBtn) {
+      addBtn.style.transform = 'scale(0.95)';
+      setTimeout(() => {
+        addBtn.style.transform = '';
+      }, 150);
+    }
+    
+    return true;
+  },
+
+  // Unlimited stock is stored as null since JSON has no Infinity
+  toStockLevel(count) {
+    return Number.isFinite(count) ? count : null;
+  },
+
+  updateCartCount() {
+    const totalItems = state.cart
+      .filter(item => item.status !== 'unavailable')
+      .reduce((sum, item) => sum + item.quantity, 0);
+    elements.cartCount.textContent = totalItems;
+    
+    // Add animation
+    elements.cartCount.style.transform = 'scale(1.2)';
+    setTimeout(() => {
+      elements.cartCount.style.transform = '';
+    }, 200);
+  },
+
+  // Only the SKU, variant and quantity are saved; see cartManager.revalidate
+  saveCart() {
+    storage.set('cart', state.cart.map(({ sku, variant, quantity }) => ({ sku, variant, quantity })));
+  },
+
+  showLoadingState() {
+    if (elements.loadMoreBtn) {
+      elements.loadMoreBtn.disabled = true;
+      elements.loadMoreBtn.textContent = i18n.t('products.loading');
+    }
+  },
+
+  hideLoadingState() {
+    if (elements.loadMoreBtn) {
+      elements.loadMoreBtn.disabled = false;
+      elements.loadMoreBtn.textContent = i18n.t('products.loadMore');
+    }
+  },
+
+  updateLoadMoreButton() {
+    if (elements.loadMoreBtn) {
+      elements.loadMoreBtn.style.display = state.hasMore ? '' : 'none';
+    }
+  },
+
+  bindEvents() {
+    if (elements.loadMoreBtn) {
+      elements.loadMoreBtn.addEventListener('click', () => {
+        this.loadProducts();
+      });
+    }
+  }
+};
+
+// ===== PRODUCT FILTERS =====
+const productFilters = {
+  defaults: {
+    query: '',
+    category: '',
+    minPrice: null,
+    maxPrice: null,
+    sort: 'featured'
+  },
+
+  init() {
+    this.readFromUrl();
+    this.syncControls();
+    this.bindEvents();
+  },
+
+  bindEvents() {
+    if (!elements.productSearch) return;
+
+    elements.productSearch.addEventListener('input', utils.debounce(() => {
+      this.update({ query: elements.productSearch.value.trim() });
+    }, 300));
+
+    elements.categoryChips.addEventListener('click', (e) => {
+      const chip = e.target.closest('.chip');
+      if (chip) {
+        this.update({ category: chip.getAttribute('data-category') });
+      }
+    });
+
+    const updatePrice = utils.debounce(() => {
+      this.update({
+        minPrice: this.parsePrice(elements.priceMin.value),
+        maxPrice: this.parsePrice(elements.priceMax.value)
+      });
+    }, 300);
+    elements.priceMin.addEventListener('input', updatePrice);
+    elements.priceMax.addEventListener('input', updatePrice);
+
+    elements.productSort.addEventListener('change', () => {
+      this.update({ sort: elements.productSort.value });
+    });
+
+    elements.clearFilters.addEventListener('click', () => {
+      this.update({ ...this.defaults });
+      this.syncControls();
+    });
+  },
+
+  parsePrice(value) {
+    const price = parseFloat(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+  },
+
+  update(changes) {
+    state.filters = { ...state.filters, ...changes };
+    this.syncControls();
+    this.writeToUrl();
+    productManager.renderGrid();
+  },
+
+  isActive() {
+    return Object.keys(this.defaults).some(key => state.filters[key] !== this.defaults[key]);
+  },
+
+  apply(products, filters = state.filters) {
+    const { query, category, minPrice, maxPrice, sort } = filters;
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const filtered = products.filter(product => {
+      const haystack = `${product.name} ${product.description} ${product.category}`.toLowerCase();
+
+      if (terms.some(term => !haystack.includes(term))) return false;
+      if (category && product.category !== category) return false;
+      // The price inputs are in the shopper's currency
+      const price = utils.convertCurrency(promotions.getSalePrice(product));
+      if (minPrice !== null && price < minPrice) return false;
+      if (maxPrice !== null && price > maxPrice) return false;
+      return true;
+    });
+
+    const sorters = {
+      'price-asc': (a, b) => promotions.getSalePrice(a) - promotions.getSalePrice(b),
+      'price-desc': (a, b) => promotions.getSalePrice(b) - promotions.getSalePrice(a),
+      'name-asc': (a, b) => a.name.localeCompare(b.name),
+      'name-desc': (a, b) => b.name.localeCompare(a.name),
+      newest: (a, b) => new Date(b.addedAt || 0) - new Date(a.addedAt || 0)
+    };
+
+    // "featured" keeps catalog order
+    return sorters[sort] ? filtered.sort(sorters[sort]) : filtered;
+  },
+
+  updateResults() {
+    if (!elements.productsResults) return;
+
+    const shown = elements.productsGrid.querySelectorAll('.product-card').length;
+    const loaded = state.products.length;
+    const isEmpty = shown === 0 && loaded > 0;
+
+    elements.productsResults.textContent = this.isActive()
+      ? i18n.t('filters.results', { shown, loaded })
+      : '';
+    elements.productsEmpty.classList.toggle('show', isEmpty);
+  },
+
+  // Keep the inputs in step with state (e.g. after reading the URL)
+  syncControls() {
+    if (!elements.productSearch) return;
+
+    const { query, category, minPrice, maxPrice, sort } = state.filters;
+
+    if (elements.productSearch.value.trim() !== query) {
+      elements.productSearch.value = query;
+    }
+    if (this.parsePrice(elements.priceMin.value) !== minPrice) {
+      elements.priceMin.value = minPrice === null ? '' : minPrice;
+    }
+    if (this.parsePrice(elements.priceMax.value) !== maxPrice) {
+      elements.priceMax.value = maxPrice === null ? '' : maxPrice;
+    }
+    elements.productSort.value = sort;
+
+    elements.categoryChips.querySelectorAll('.chip').forEach(chip => {
+      const isActive = chip.getAttribute('data-category') === category;
+      chip.classList.toggle('active', isActive);
+      chip.setAttribute('aria-pressed', String(isActive));
+    });
+  },
+
+  readFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort');
+
+    state.filters = {
+      query: params.get('q') || '',
+      category: params.get('category') || '',
+      minPrice: this.parsePrice(params.get('min')),
+      maxPrice: this.parsePrice(params.get('max')),
+      // Compared as values, not a selector: the URL can hold anything
+      sort: elements.productSort && Array.from(elements.productSort.options).some(option => option.value === sort)
+        ? sort
+        : this.defaults.sort
+    };
+  },
+
+  // replaceState so typing a search doesn't flood the history stack
+  writeToUrl() {
+    const { query, category, minPrice, maxPrice, sort } = state.filters;
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+      q: query,
+      category,
+      min: minPrice === null ? '' : minPrice,
+      max: maxPrice === null ? '' : maxPrice,
+      sort: sort === this.defaults.sort ? '' : sort
+    };
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === '') {
+        params.delete(key);
+      } else {
+        params.set(key, value);
+      }
+    });
+
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    history.replaceState(history.state, '', url);
+  }
+};
+
+// ===== PRODUCT DETAIL =====
+const productDetail = {
+  product: null,
+  options: {},
+
+  init() {
+    this.bindEvents();
+  },
+
+  bindEvents() {
+    if (!elements.productDetail) return;
+
+    elements.productDetailClose.addEventListener('click', () => this.close());
+    elements.productDetailOverlay.addEventListener('click', () => this.close());
+
+    elements.productDetailContent.addEventListener('click', (e) => {
+      const thumb = e.target.closest('.gallery-thumb');
+      if (thumb) {
+        this.selectImage(parseInt(thumb.getAttribute('data-index'), 10));
+      }
+    });
+
+    elements.productDetailContent.addEventListener('change', (e) => {
+      if (e.target.name === 'color') {
+        elements.productDetailContent.querySelector('[data-color-label]').textContent = e.target.value;
+      }
+
+      if (e.target.name === 'size') {
+        formManager.clearFieldError(e.target);
+        this.updateStockNote();
+      }
+    });
+
+    elements.productDetailContent.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addToCart();
+    });
+  },
+
+  isOpen() {
+    return elements.productDetail.classList.contains('active');
+  },
+
+  // `options.onAddToCart` runs after the chosen variant is added
+  open(product, options = {}) {
+    this.product = product;
+    this.options = options;
+    this.render(product);
+    navigation.closeMobileMenu();
+
+    elements.productDetail.classList.add('active');
+    elements.productDetailOverlay.classList.add('active');
+    dialogManager.open(elements.productDetail, { overlay: elements.productDetailOverlay, onClose: () => this.close() });
+    events.emit('product:view', { product });
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.productDetail.classList.remove('active');
+    elements.productDetailOverlay.classList.remove('active');
+    dialogManager.close(elements.productDetail);
+    router.exit('product');
+
+    // Return focus to the card that opened the view
+    const trigger = elements.productsGrid.querySelector(`[data-product-id="${this.product.id}"] .product-link`);
+    if (trigger) {
+      trigger.focus();
+    }
+  },
+
+  render(product) {
+    const images = product.images && product.images.length ? product.images : [product.image];
+    const sizes = product.sizes || [];
+    const widths = product.widths || [];
+    const colors = product.colors || [];
+    const isSoldOut = productManager.getStock(product) === 0;
+
+    elements.productDetailContent.innerHTML = templates.html`
+      <div class="product-detail-gallery">
+        <div class="gallery-main">
+          <img src="${templates.url(images[0])}" alt="${product.name}" id="gallery-main-image">
+        </div>
+        ${images.length > 1 ? templates.html`
+          <div class="gallery-thumbs" role="group" aria-label="${i18n.t('product.images')}">
+            ${images.map((src, index) => templates.html`
+              <button class="gallery-thumb ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="${i18n.t('product.showImage', { index: index + 1, total: images.length })}" aria-pressed="${index === 0}" type="button">
+                <img src="${templates.url(src)}" alt="" loading="lazy">
+              </button>
+            `)}
+          </div>
+        ` : ''}
+      </div>
+      <form class="product-detail-info" novalidate>
+        ${product.badge ? templates.html`<span class="product-detail-badge">${product.badge}</span>` : ''}
+        <h2 id="product-detail-title" class="product-detail-title">${product.name}</h2>
+        <p class="product-detail-price">${productManager.getPriceHtml(product)}</p>
+        <p class="product-detail-description">${product.longDescription || product.description}</p>
+
+        ${colors.length ? templates.html`
+          <fieldset class="variant-group">
+            <legend class="variant-label">${i18n.t('product.color')} <span class="variant-value" data-color-label>${colors[0].name}</span></legend>
+            <div class="color-swatches">
+              ${colors.map((color, index) => templates.html`
+                <label class="color-swatch" title="${color.name}">
+                  <input type="radio" name="color" value="${color.name}" class="sr-only" ${index === 0 ? 'checked' : ''}>
+                  <span class="swatch" style="background-color: ${templates.color(color.hex)}"></span>
+                  <span class="sr-only">${color.name}</span>
+                </label>
+              `)}
+            </div>
+          </fieldset>
+        ` : ''}
+
+        ${sizes.length ? templates.html`
+          <fieldset class="variant-group form-group">
+            <legend class="variant-label">${i18n.t('product.size')}</legend>
+            <div class="variant-options">
+              ${sizes.map(size => {
+                const isAvailable = productManager.getStock(product, { size }) > 0;
+                return templates.html`
+                  <label class="variant-option ${isAvailable ? '' : 'unavailable'}">
+                    <input type="radio" name="size" value="${size}" class="sr-only" required ${isAvailable ? '' : 'disabled'}>
+                    <span>${size}</span>
+                  </label>
+                `;
+              })}
+            </div>
+            <p class="variant-stock" data-stock-note aria-live="polite"></p>
+            <div class="form-error" role="alert"></div>
+          </fieldset>
+        ` : ''}
+
+        ${widths.length ? templates.html`
+          <fieldset class="variant-group">
+            <legend class="variant-label">${i18n.t('product.width')}</legend>
+            <div class="variant-options">
+              ${widths.map((width, index) => templates.html`
+                <label class="variant-option">
+                  <input type="radio" name="width" value="${width}" class="sr-only" ${index === 0 ? 'checked' : ''}>
+                  <span>${width}</span>
+                </label>
+              `)}
+            </div>
+          </fieldset>
+        ` : ''}
+
+        <button class="btn btn-primary product-detail-add" type="submit" ${isSoldOut ? 'disabled' : ''}>
+          ${i18n.t(isSoldOut ? 'stock.soldOut' : 'product.addToCartButton')}
+        </button>
+      </form>
+    `;
+  },
+
+  selectImage(index) {
+    const thumbs = elements.productDetailContent.querySelectorAll('.gallery-thumb');
+    const thumb = thumbs[index];
+    if (!thumb) return;
+
+    elements.productDetailContent.querySelector('#gallery-main-image').src = thumb.querySelector('img').src;
+    thumbs.forEach(button => {
+      button.classList.toggle('active', button === thumb);
+      button.setAttribute('aria-pressed', String(button === thumb));
+    });
+  },
+
+  updateStockNote() {
+    const note = elements.productDetailContent.querySelector('[data-stock-note]');
+    const { size } = this.getSelectedVariant();
+    const count = productManager.getStock(this.product, { size });
+
+    note.textContent = size && productManager.isLowStock(count)
+      ? i18n.t('stock.sizeLow', { count })
+      : '';
+  },
+
+  getSelectedVariant() {
+    const data = new FormData(elements.productDetailContent.querySelector('form'));
+    const variant = {};
+
+    ['size', 'width', 'color'].forEach(option => {
+      if (data.get(option)) {
+        variant[option] = data.get(option);
+      }
+    });
+
+    return variant;
+  },
+
+  addToCart() {
+    const variant = this.getSelectedVariant();
+
+    if (productManager.hasVariants(this.product) && !variant.size) {
+      const firstSize = elements.productDetailContent.querySelector('input[name="size"]');
+      formManager.showFieldError(firstSize, i18n.t('product.selectSize'));
+      firstSize.focus();
+      return;
+    }
+
+    if (!productManager.addToCart(this.product, variant)) return;
+
+    if (this.options.onAddToCart) {
+      this.options.onAddToCart(this.product, variant);
+    }
+    this.close();
+  }
+};
+
+// ===== PROMOTIONS =====
+// Automatic rules (no `code`) always apply while active; one code can be
+// added on top. Discounts are worked out per unit so rules never take an
+// item below zero.
+const promotions = {
+  // Percentages first, then free items, then fixed amounts off what's left
+  order: ['percent', 'bogo', 'fixed'],
+
+  isActive(rule, now = new Date()) {
+    if (rule.startsAt && now < new Date(rule.startsAt)) return false;
+    if (rule.endsAt && now > new Date(rule.endsAt)) return false;
+    return true;
+  },
+
+  matches(rule, item) {
+    return !rule.category || item.category === rule.category;
+  },
+
+  findCode(code) {
+    const normalized = code.trim().toUpperCase();
+    return config.promotions.find(rule => rule.code && rule.code.toUpperCase() === normalized);
+  },
+
+  getAutomaticRules() {
+    return config.promotions.filter(rule => !rule.code && this.isActive(rule));
+  },
+
+  // Price after automatic percentage sales, for cards and the detail view.
+  // Worked out by `applyRule`, so sales stack exactly as they do in the cart.
+  getSalePrice(product) {
+    const unit = { item: product, price: product.price };
+    this.getAutomaticRules()
+      .filter(rule => rule.type === 'percent')
+      .forEach(rule => this.applyRule(rule, [unit]));
+
+    return this.round(unit.price);
+  },
+
+  // Returns an error message, or '' when the code can be used
+  validate(rule, subtotal) {
+    if (!this.isActive(rule)) {
+      return i18n.t('promo.expired', { code: rule.code });
+    }
+    if (rule.minSpend && subtotal < rule.minSpend) {
+      return i18n.t('promo.minSpend', { code: rule.code, amount: utils.formatCurrency(rule.minSpend) });
+    }
+    return '';
+  },
+
+  applyCode(code) {
+    const rule = this.findCode(code);
+    if (!rule) {
+      return i18n.t('promo.invalid');
+    }
+
+    const error = this.validate(rule, cartManager.getSubtotal());
+    if (error) return error;
+
+    state.promoCode = rule.code;
+    storage.set('promoCode', rule.code);
+    return '';
+  },
+
+  removeCode() {
+    state.promoCode = '';
+    storage.remove('promoCode');
+  },
+
+  // `{ subtotal, lines, discount, total, codeError }`; a saved code that no
+  // longer qualifies (e.g. the cart dropped below its minimum) is kept but
+  // reported through `codeError` instead of being applied
+  calculate(items = cartManager.getItems(), code = state.promoCode) {
+    const subtotal = this.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    const rules = this.getAutomaticRules();
+    const codeRule = code ? this.findCode(code) : null;
+    let codeError = '';
+
+    if (code && !codeRule) {
+      codeError = i18n.t('promo.invalid');
+    } else if (codeRule) {
+      codeError = this.validate(codeRule, subtotal);
+      if (!codeError) {
+        rules.push(codeRule);
+      }
+    }
+
+    const units = items.flatMap(item => Array.from({ length: item.quantity }, () => ({ item, price: item.price })));
+    const lines = [];
+
+    rules
+      .sort((a, b) => this.order.indexOf(a.type) - this.order.indexOf(b.type))
+      .forEach(rule => {
+        const amount = this.round(this.applyRule(rule, units));
+        if (amount > 0) {
+          lines.push({ id: rule.id, code: rule.code || null, label: this.getLabel(rule), amount });
+        }
+      });
+
+    const discount = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+      subtotal,
+      lines,
+      discount,
+      total: this.round(subtotal - discount),
+      codeError
+    };
+  },
+
+  // Lowers the matching units' prices and returns the amount taken off
+  applyRule(rule, units) {
+    const eligible = units.filter(unit => this.matches(rule, unit.item));
+    let amount = 0;
+
+    if (rule.type === 'percent') {
+      eligible.forEach(unit => {
+        const cut = this.round(unit.price * rule.percent / 100);
+        unit.price -= cut;
+        amount += cut;
+      });
+    }
+
+    // Pairs are made from the most expensive down; the cheaper of each pair is free
+    if (rule.type === 'bogo') {
+      eligible
+        .sort((a, b) => b.price - a.price)
+        .forEach((unit, index) => {
+          if (index % 2 === 1) {
+            amount += unit.price;
+            unit.price = 0;
+          }
+        });
+    }
+
+    if (rule.type === 'fixed') {
+      let remaining = rule.amount;
+      eligible.forEach(unit => {
+        const cut = Math.min(unit.price, remaining);
+        unit.price -= cut;
+        remaining -= cut;
+        amount += cut;
+      });
+    }
+
+    return amount;
+  },
+
+  getLabel(rule) {
+    const category = rule.category ? i18n.t(`category.${rule.category}`) : '';
+    const labels = {
+      percent: () => i18n.t(category ? 'promo.categoryPercent' : 'promo.percent', { percent: rule.percent, category }),
+      fixed: () => i18n.t('promo.fixed', { amount: utils.formatCurrency(rule.amount) }),
+      bogo: () => i18n.t(category ? 'promo.categoryBogo' : 'promo.bogo', { category })
+    };
+    const label = labels[rule.type]();
+
+    return rule.code ? i18n.t('promo.codeLine', { code: rule.code, label }) : label;
+  },
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+};
+
+// ===== CART MANAGEMENT =====
+const cartManager = {
+  // Settles once saved lines have been checked against the catalog
+  ready: Promise.resolve(),
+
+  init() {
+    state.cart = state.cart.map(line => this.createLine(line));
+    this.subscribe();
+    this.bindEvents();
+    this.render();
+    this.ready = this.revalidate();
+  },
+
+  // Lines start out `pending` until the catalog fills in their name, price
+  // and stock; `unavailable` lines stay visible but can't be bought
+  createLine({ sku, variant = {}, quantity }) {
+    return {
+      sku,
+      variant,
+      quantity,
+      lineId: productManager.getLineId(sku, variant),
+      status: 'pending'
+    };
+  },
+
+  hydrate(line, product) {
+    // Gallery and option lists aren't needed once a variant is chosen;
+    // the line keeps the stock of its own variant instead
+    const { images, longDescription, sizes, widths, colors, stock, ...details } = product;
+    const variantStock = productManager.getStock(product, line.variant);
+
+    return Object.assign(line, details, {
+      stock: productManager.toStockLevel(variantStock),
+      stockBySize: productManager.isStockBySize(product),
+      status: variantStock > 0 ? 'available' : 'unavailable'
+    });
+  },
+
+  // Lines that can be bought, for totals, promotions and checkout
+  getItems() {
+    return state.cart.filter(item => item.status === 'available');
+  },
+
+  // Counter, drawer and shopper feedback for cart changes made anywhere
+  subscribe() {
+    events.on('cart:change', () => {
+      productManager.updateCartCount();
+      this.render();
+    });
+
+    // Another tab changed the cart or its promo code
+    storage.watch('cart', async (cart) => {
+      state.cart = (cart || []).map(line => this.createLine(line));
+      if (state.cart.length === 0) {
+        events.emit('cart:change', { cart: state.cart });
+      }
+      await this.revalidate({ notify: false });
+      this.refreshCheckout();
+    });
+
+    storage.watch('promoCode', (code) => {
+      state.promoCode = code || '';
+      this.render();
+      this.refreshCheckout();
+    });
+
+    events.on('cart:add', ({ product, variant }) => {
+      const variantLabel = productManager.formatVariant(variant);
+      notifications.show(i18n.t('product.added', {
+        name: `${product.name}${variantLabel ? ` (${variantLabel})` : ''}`
+      }), 'success');
+    });
+
+    events.on('cart:remove', ({ item, index }) => {
+      notifications.show(i18n.t('cart.removed', { name: this.getName(item) }), 'info', {
+        action: { label: i18n.t('toast.undo'), onClick: () => this.restoreItems([item], index) }
+      });
+    });
+
+    events.on('cart:clear', ({ items }) => {
+      notifications.show(i18n.t('cart.cleared'), 'info', {
+        action: { label: i18n.t('toast.undo'), onClick: () => this.restoreItems(items, 0) }
+      });
+    });
+  },
+
+  // Totals in an open checkout follow cart changes from other tabs
+  refreshCheckout() {
+    if (checkoutManager.isOpen()) {
+      checkoutManager.refresh();
+    }
+  },
+
+  bindEvents() {
+    if (!elements.cartDrawer) return;
+
+    elements.cartButton.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        router.navigate('/cart');
+      }
+    });
+
+    elements.cartClose.addEventListener('click', () => this.close());
+    elements.cartOverlay.addEventListener('click', () => this.close());
+
+    elements.cartContinue.addEventListener('click', () => {
+      router.navigate('/', { replace: true });
+      utils.scrollToElement(document.getElementById('products'), 80);
+    });
+
+    elements.cartClear.addEventListener('click', () => {
+      this.clearCart();
+    });
+
+    elements.promoForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.applyPromoCode();
+    });
+
+    elements.promoCode.addEventListener('input', () => {
+      formManager.clearFieldError(elements.promoCode);
+    });
+
+    elements.promoApplied.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="remove-promo"]')) {
+        promotions.removeCode();
+        this.render();
+        elements.promoCode.focus();
+      }
+    });
+
+    // Quantity and remove buttons are delegated from the list
+    elements.cartItems.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const lineId = button.closest('.cart-item').getAttribute('data-line-id');
+      const item = this.findItem(lineId);
+      if (!item) return;
+
+      switch (button.getAttribute('data-action')) {
+        case 'increase':
+          this.updateQuantity(lineId, item.quantity + 1);
+          break;
+        case 'decrease':
+          this.updateQuantity(lineId, item.quantity - 1);
+          break;
+        case 'remove':
+          this.removeItem(lineId);
+          break;
+      }
+    });
+
+    elements.cartItems.addEventListener('change', (e) => {
+      if (!e.target.matches('.cart-item-quantity')) return;
+
+      const lineId = e.target.closest('.cart-item').getAttribute('data-line-id');
+      const quantity = parseInt(e.target.value, 10);
+      this.updateQuantity(lineId, Number.isNaN(quantity) ? 1 : quantity);
+    });
+  },
+
+  isOpen() {
+    return elements.cartDrawer.classList.contains('active');
+  },
+
+  open() {
+    navigation.closeMobileMenu();
+    this.render();
+    elements.cartDrawer.classList.add('active');
+    elements.cartOverlay.classList.add('active');
+    elements.cartButton.setAttribute('aria-expanded', 'true');
+    dialogManager.open(elements.cartDrawer, { overlay: elements.cartOverlay, onClose: () => this.close() });
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.cartDrawer.classList.remove('active');
+    elements.cartOverlay.classList.remove('active');
+    elements.cartButton.setAttribute('aria-expanded', 'false');
+    dialogManager.close(elements.cartDrawer);
+    router.exit('cart');
+  },
+
+  findItem(lineId) {
+    return state.cart.find(item => item.lineId === lineId);
+  },
+
+  updateQuantity(lineId, quantity) {
+    const item = this.findItem(lineId);
+    if (!item) return;
+
+    if (quantity < 1) {
+      this.removeItem(lineId);
+      return;
+    }
+
+    const maxQuantity = this.getMaxQuantity(item);
+    if (quantity > maxQuantity) {
+      notifications.show(i18n.t('stock.limit', { count: maxQuantity, name: item.name }), 'warning');
+    }
+
+    item.quantity = Math.min(quantity, maxQuantity);
+    this.sync();
+    events.emit('cart:update', { item, quantity: item.quantity });
+  },
+
+  // Lines that differ only in width or color draw on the same stock, so
+  // each one can have what the others don't hold
+  getMaxQuantity(item, lines = state.cart) {
+    if (typeof item.stock !== 'number') return 99;
+
+    const others = lines.filter(line => line !== item);
+    const held = this.getHeldQuantity(item.sku, item.variant.size, item.stockBySize, others);
+    return Math.max(Math.min(item.stock - held, 99), 0);
+  },
+
+  getHeldQuantity(sku, size, bySize, lines = state.cart) {
+    return lines
+      .filter(line => line.sku === sku && line.status !== 'unavailable' && (!bySize || line.variant.size === size))
+      .reduce((sum, line) => sum + line.quantity, 0);
+  },
+
+  // Saved lines carry only SKU, variant and quantity, so names, prices and
+  // stock always come from the catalog. Lines whose product is gone or sold
+  // out are flagged `unavailable`, quantities are trimmed to what's left,
+  // and a price that differs from the one the shopper saw is kept in
+  // `previousPrice` until they go on to checkout. Returns a message for
+  // each change found.
+  async revalidate({ fresh = false, notify = true } = {}) {
+    if (state.cart.length === 0) return [];
+
+    let products;
+    try {
+      const skus = [...new Set(state.cart.map(line => line.sku))];
+      products = await catalogProvider.getProductsBySku(skus, { fresh });
+    } catch (error) {
+      console.error('Error checking cart:', error);
+      return [];
+    }
+
+    const changes = [];
+    // Stock goes to lines in cart order, so only those already checked count
+    const checked = [];
+    const soldOut = [];
+
+    state.cart.forEach(line => {
+      const product = products.find(entry => entry.sku === line.sku);
+      const wasAvailable = line.status !== 'unavailable';
+      const seenPrice = line.status === 'available' ? line.price : undefined;
+
+      if (!product) {
+        line.status = 'unavailable';
+        if (wasAvailable) {
+          changes.push(i18n.t('cart.discontinued', { name: this.getName(line) }));
+        }
+        return;
+      }
+
+      this.hydrate(line, product);
+
+      if (line.status === 'unavailable') {
+        if (wasAvailable) {
+          changes.push(i18n.t('stock.removed', { name: line.name }));
+        }
+        return;
+      }
+
+      const maxQuantity = this.getMaxQuantity(line, checked);
+      if (maxQuantity === 0) {
+        soldOut.push(line);
+        changes.push(i18n.t('stock.removed', { name: line.name }));
+        return;
+      }
+
+      if (line.quantity > maxQuantity) {
+        line.quantity = maxQuantity;
+        changes.push(i18n.t('stock.reduced', { name: line.name, count: maxQuantity }));
+      }
+      checked.push(line);
+
+      if (seenPrice !== undefined && seenPrice !== line.price) {
+        line.previousPrice = 'previousPrice' in line ? line.previousPrice : seenPrice;
+        changes.push(i18n.t('cart.priceChanged', {
+          name: line.name,
+          from: utils.formatCurrency(seenPrice),
+          to: utils.formatCurrency(line.price)
+        }));
+      }
+
+      // Back where it was when the shopper first saw it
+      if (line.previousPrice === line.price) {
+        delete line.previousPrice;
+      }
+    });
+
+    // Other lines of the same size already hold every pair left
+    if (soldOut.length) {
+      state.cart = state.cart.filter(line => !soldOut.includes(line));
+    }
+
+    this.sync();
+
+    if (notify && changes.length) {
+      notifications.show(changes.join(' '), 'warning', { duration: 10000 });
+    }
+
+    return changes;
+  },
+
+  // Prices are checked again before checkout; when something changed the
+  // drawer shows it and the next click continues
+  async startCheckout() {
+    elements.cartCheckout.disabled = true;
+    const changes = await this.revalidate({ fresh: true });
+    elements.cartCheckout.disabled = false;
+
+    if (changes.length) return;
+
+    this.acknowledgeChanges();
+    router.navigate('/checkout');
+  },
+
+  acknowledgeChanges() {
+    state.cart.forEach(line => {
+      delete line.previousPrice;
+    });
+    this.render();
+  },
+
+  hasChanges() {
+    return state.cart.some(line => line.status === 'unavailable' || 'previousPrice' in line);
+  },
+
+  // Discontinued products have only their SKU left to show
+  getName(item) {
+    return item.name || i18n.t('cart.unknownItem', { sku: item.sku });
+  },
+
+  removeItem(lineId) {
+    const item = this.findItem(lineId);
+    if (!item) return;
+
+    const index = state.cart.indexOf(item);
+    state.cart = state.cart.filter(cartItem => cartItem !== item);
+    this.sync();
+    events.emit('cart:remove', { item, index });
+  },
+
+  // Puts removed lines back where they were, e.g. from an "Undo" toast;
+  // lines added again in the meantime are left as they are
+  restoreItems(items, index) {
+    const restored = items.filter(item => !this.findItem(item.lineId));
+    if (restored.length === 0) return;
+
+    state.cart.splice(index, 0, ...restored);
+    this.sync();
+  },
+
+  clearCart() {
+    if (state.cart.length === 0) return;
+
+    const items = state.cart;
+    state.cart = [];
+    this.sync();
+    events.emit('cart:clear', { items });
+  },
+
+  getSubtotal() {
+    return this.getItems().reduce((sum, item) => sum + item.price * item.quantity, 0);
+  },
+
+  applyPromoCode() {
+    const code = elements.promoCode.value.trim();
+    if (!code) return;
+
+    const error = promotions.applyCode(code);
+    if (error) {
+      formManager.showFieldError(elements.promoCode, error);
+      return;
+    }
+
+    elements.promoCode.value = '';
+    this.render();
+    notifications.show(i18n.t('promo.applied', { code: state.promoCode }), 'success');
+  },
+
+  // Persist and let subscribers refresh the counter and drawer
+  sync() {
+    productManager.saveCart();
+    events.emit('cart:change', { cart: state.cart });
+  },
+
+  render() {
+    if (!elements.cartItems) return;
+
+    const isEmpty = state.cart.length === 0;
+    const fragment = document.createDocumentFragment();
+
+    // Pending lines appear once the catalog has filled them in
+    state.cart.filter(item => item.status !== 'pending').forEach(item => {
+      fragment.appendChild(this.createCartItem(item));
+    });
+
+    elements.cartItems.innerHTML = '';
+    elements.cartItems.appendChild(fragment);
+    elements.cartEmpty.style.display = isEmpty ? '' : 'none';
+    elements.cartFooter.style.display = isEmpty ? 'none' : '';
+    elements.cartNotice.hidden = !this.hasChanges();
+    this.renderSummary(promotions.calculate());
+  },
+
+  renderSummary(summary) {
+    elements.cartSubtotal.textContent = utils.formatCurrency(summary.subtotal);
+    elements.cartDiscounts.innerHTML = templates.html`${summary.lines.map(line => templates.html`
+      <li class="cart-discount">
+        <span>${line.label}</span>
+        <span>&minus;${utils.formatCurrency(line.amount)}</span>
+      </li>
+    `)}`;
+    elements.cartTotal.textContent = utils.formatCurrency(summary.total);
+    elements.cartTotalRow.style.display = summary.lines.length ? '' : 'none';
+
+    // An applied code replaces the form until it's removed
+    elements.promoForm.style.display = state.promoCode ? 'none' : '';
+    elements.promoApplied.style.display = state.promoCode ? '' : 'none';
+    elements.promoApplied.innerHTML = state.promoCode ? templates.html`
+      <span class="promo-chip">${state.promoCode}</span>
+      <button class="cart-item-remove" data-action="remove-promo" aria-label="${i18n.t('promo.remove', { code: state.promoCode })}" type="button">${i18n.t('cart.remove')}</button>
+      ${summary.codeError ? templates.html`<span class="promo-note">${summary.codeError}</span>` : ''}
+    ` : '';
+  },
+
+  createCartItem(item) {
+    const li = document.createElement('li');
+    li.className = 'cart-item';
+    li.setAttribute('data-line-id', item.lineId);
+
+    const variantLabel = productManager.formatVariant(item.variant);
+
+    if (item.status === 'unavailable') {
+      li.classList.add('unavailable');
+      li.innerHTML = templates.html`
+        ${item.image
+          ? templates.html`<img class="cart-item-image" src="${templates.url(item.image)}" alt="${item.name}" loading="lazy">`
+          : templates.html`<span class="cart-item-image" aria-hidden="true"></span>`}
+        <div class="cart-item-details">
+          <h3 class="cart-item-title">${this.getName(item)}</h3>
+          ${variantLabel ? templates.html`<span class="cart-item-variant">${variantLabel}</span>` : ''}
+          <span class="cart-item-notice">${i18n.t(item.name ? 'stock.soldOut' : 'cart.unavailable')}</span>
+        </div>
+        <div class="cart-item-summary">
+          <button class="cart-item-remove" data-action="remove" aria-label="${i18n.t('cart.removeLabel', { name: this.getName(item) })}" type="button">${i18n.t('cart.remove')}</button>
+        </div>
+      `;
+      return li;
+    }
+
+    li.setAttribute('data-product-id', item.id);
+    const maxQuantity = this.getMaxQuantity(item);
+
+    li.innerHTML = templates.html`
+      <img class="cart-item-image" src="${templates.url(item.image)}" alt="${item.name}" loading="lazy">
+      <div class="cart-item-details">
+        <h3 class="cart-item-title">${item.name}</h3>
+        ${variantLabel ? templates.html`<span class="cart-item-variant">${variantLabel}</span>` : ''}
+        <span class="cart-item-price">${i18n.html('cart.each', { price: productManager.getPriceHtml(item) })}</span>
+        ${'previousPrice' in item ? templates.html`<span class="cart-item-notice">${i18n.t('cart.priceWas', { price: utils.formatCurrency(item.previousPrice) })}</span>` : ''}
+        <div class="cart-item-controls">
+          <button class="quantity-btn" data-action="decrease" aria-label="${i18n.t('cart.decrease', { name: item.name })}" type="button">&minus;</button>
+          <input class="cart-item-quantity" type="number" min="1" max="${maxQuantity}" value="${item.quantity}" aria-label="${i18n.t('cart.quantity', { name: item.name })}">
+          <button class="quantity-btn" data-action="increase" aria-label="${i18n.t('cart.increase', { name: item.name })}" type="button" ${item.quantity >= maxQuantity ? 'disabled' : ''}>+</button>
+        </div>
+      </div>
+      <div class="cart-item-summary">
+        <span class="cart-item-total">${utils.formatCurrency(item.price * item.quantity)}</span>
+        <button class="cart-item-remove" data-action="remove" aria-label="${i18n.t('cart.removeLabel', { name: item.name })}" type="button">${i18n.t('cart.remove')}</button>
+      </div>
+    `;
+
+    return li;
+  }
+};
+
+// ===== FORM MANAGEMENT =====
+const formManager = {
+  init() {
+    this.bindEvents();
+  },
+
+  bindEvents() {
+    if (elements.contactForm) {
+      elements.contactForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleFormSubmit();
+      });
+      
+      // Real-time validation
+      this.attachFieldValidation(elements.contactForm);
+    }
+  },
+
+  attachFieldValidation(form) {
+    const inputs = form.querySelectorAll('input, textarea, select');
+    inputs.forEach(input => {
+      input.addEventListener('blur', () => {
+        this.validateField(input);
+      });
+      
+      input.addEventListener('input', utils.debounce(() => {
+        this.clearFieldError(input);
+      }, 300));
+    });
+  },
+
+  handleFormSubmit() {
+    const formData = new FormData(elements.contactForm);
+    const data = Object.fromEntries(formData);
+    
+    // Validate all fields
+    const isValid = this.validateForm();
+    
+    if (isValid) {
+      this.submitForm(data);
+    } else {
+      notifications.show(i18n.t('validation.fixErrors'), 'error');
+      events.emit('form:submit', { form: 'contact', status: 'invalid' });
+    }
+  },
+
+  validateForm(form = elements.contactForm) {
+    const inputs = form.querySelectorAll('input[required], textarea[required], select[required]');
+    let isValid = true;
+    
+    inputs.forEach(input => {
+      if (!this.validateField(input)) {
+        isValid = false;
+      }
+    });
+    
+    return isValid;
+  },
+
+  validateField(field) {
+    // A radio group's value is whichever option is checked
+    const value = field.type === 'radio' ? this.getRadioValue(field) : field.value.trim();
+    const fieldName = field.name;
+    let isValid = true;
+    let errorMessage = '';
+    
+    // Required field validation
+    if (field.hasAttribute('required') && !value) {
+      isValid = false;
+      errorMessage = i18n.t('validation.required', { field: this.getFieldLabel(fieldName) });
+    }
+    
+    // Email validation
+    if (fieldName === 'email' && value) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(value)) {
+        isValid = false;
+        errorMessage = i18n.t('validation.email');
+      }
+    }
+    
+    // Minimum length validation (name, message, address fields)
+    const minLength = this.minLengths[fieldName];
+    if (minLength && value && value.length < minLength) {
+      isValid = false;
+      errorMessage = i18n.t('validation.minLength', { field: this.getFieldLabel(fieldName), min: minLength });
+    }
+    
+    // Postal code validation
+    if (fieldName === 'postalCode' && value && !/^[a-z0-9][a-z0-9\- ]{2,9}$/i.test(value)) {
+      isValid = false;
+      errorMessage = i18n.t('validation.postalCode');
+    }
+    
+    // Card number validation
+    if (fieldName === 'cardNumber' && value && !this.isValidCardNumber(value)) {
+      isValid = false;
+      errorMessage = i18n.t('validation.cardNumber');
+    }
+    
+    // Card expiry validation
+    if (fieldName === 'cardExpiry' && value && !this.isValidExpiry(value)) {
+      isValid = false;
+      errorMessage = i18n.t('validation.cardExpiry');
+    }
+    
+    // Card security code validation
+    if (fieldName === 'cardCvc' && value && !/^\d{3,4}$/.test(value)) {
+      isValid = false;
+      errorMessage = i18n.t('validation.cardCvc');
+    }
+    
+    this.showFieldError(field, errorMessage);
+    return isValid;
+  },
+
+  minLengths: {
+    name: 2,
+    message: 10,
+    fullName: 2,
+    address: 5,
+    city: 2,
+    cardName: 2,
+    author: 2,
+    title: 3,
+    body: 20
+  },
+
+  getRadioValue(field) {
+    const checked = field.form && field.form.querySelector(`input[name="${field.name}"]:checked`);
+    return checked ? checked.value : '';
+  },
+
+  // Luhn checksum over the digits of a card number
+  isValidCardNumber(number) {
+    const digits = number.replace(/[\s-]/g, '');
+    if (!/^\d{13,19}$/.test(digits)) return false;
+    
+    let sum = 0;
+    digits.split('').reverse().forEach((char, index) => {
+      let digit = parseInt(char, 10);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+    
+    return sum % 10 === 0;
+  },
+
+  isValidExpiry(expiry) {
+    const match = expiry.match(/^(\d{2})\s*\/\s*(\d{2})$/);
+    if (!match) return false;
+    
+    const month = parseInt(match[1], 10);
+    const year = 2000 + parseInt(match[2], 10);
+    if (month < 1 || month > 12) return false;
+    
+    // Cards are valid through the last day of the expiry month
+    return new Date(year, month, 1) > new Date();
+  },
+
+  // Error elements live next to their field; contact fields also have ids
+  getErrorElement(field) {
+    const group = field.closest('.form-group');
+    return (group && group.querySelector('.form-error')) || document.getElementById(`${field.name}-error`);
+  },
+
+  showFieldError(field, message) {
+    const errorElement = this.getErrorElement(field);
+    
+    if (message) {
+      field.classList.add('error');
+      if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.classList.add('show');
+      }
+    } else {
+      this.clearFieldError(field);
+    }
+  },
+
+  clearFieldError(field) {
+    field.classList.remove('error');
+    const errorElement = this.getErrorElement(field);
+    if (errorElement) {
+      errorElement.classList.remove('show');
+    }
+  },
+
+  getFieldLabel(fieldName) {
+    const key = `field.${fieldName}`;
+    const label = i18n.t(key);
+    return label === key ? fieldName : label;
+  },
+
+  // Map `{ fieldName: message }` from the server onto the form
+  showServerErrors(fieldErrors, form = elements.contactForm) {
+    const unmatched = [];
+    
+    Object.entries(fieldErrors).forEach(([fieldName, message]) => {
+      let field = form.elements[fieldName];
+      // Radio groups come back as a list; the error sits with the group
+      if (field instanceof RadioNodeList) {
+        field = field[0];
+      }
+      if (field) {
+        this.showFieldError(field, message);
+      } else {
+        unmatched.push(message);
+      }
+    });
+    
+    notifications.show(unmatched.length ? unmatched.join(' ') : i18n.t('validation.fixErrors'), 'error');
+  },
+
+  async queueMessage(data) {
+    try {
+      await contactOutbox.queue(data);
+    } catch (error) {
+      // IndexedDB can be blocked or missing, e.g. in some private windows
+      console.error('Error queueing message:', error);
+      notifications.show(i18n.t('contact.failed'), 'error');
+      events.emit('form:submit', { form: 'contact', status: 'failed' });
+      return;
+    }
+
+    notifications.show(i18n.t('contact.queued'), 'info');
+    elements.contactForm.reset();
+    events.emit('form:submit', { form: 'contact', status: 'queued' });
+  },
+
+  async submitForm(data) {
+    const submitBtn = elements.contactForm.querySelector('button[type="submit"]');
+    
+    // Show loading state
+    submitBtn.disabled = true;
+    submitBtn.textContent = i18n.t('contact.sending');
+    
+    try {
+      if (!navigator.onLine) {
+        await this.queueMessage(data);
+        return;
+      }
+      
+      const result = await contactTransport.send(data);
+      
+      if (result.ok) {
+        notifications.show(i18n.t('contact.sent'), 'success');
+        elements.contactForm.reset();
+      } else {
+        this.showServerErrors(result.fieldErrors || {});
+      }
+      events.emit('form:submit', { form: 'contact', status: result.ok ? 'sent' : 'rejected' });
+    } catch (error) {
+      // Only a request that never reached the server is worth retrying
+      if (error.isNetworkError) {
+        await this.queueMessage(data);
+        return;
+      }
+      
+      console.error('Form submission error:', error);
+      notifications.show(i18n.t('contact.failed'), 'error');
+      events.emit('form:submit', { form: 'contact', status: 'failed' });
+    } finally {
+      // Reset button state
+      submitBtn.disabled = false;
+      submitBtn.textContent = i18n.t('contact.send');
+    }
+  }
+};
+
+// ===== CONTACT SUBMISSION =====
+const contactTransport = {
+  transports: {},
+
+  // Transports implement `send(message)` and resolve to `{ ok: true }` or
+  // `{ ok: false, fieldErrors }`; they reject when the request can't be made,
+  // with `isNetworkError` set on the error when the network was unreachable
+  // and `status` when the server answered with an error
+  register(name, transport) {
+    this.transports[name] = transport;
+  },
+
+  send(message) {
+    const transport = this.transports[config.contact.transport];
+    if (!transport) {
+      throw new Error(`Unknown contact transport: ${config.contact.transport}`);
+    }
+    return transport.send(message);
+  }
+};
+
+contactTransport.register('http', {
+  async send(message) {
+    let response;
+    try {
+      response = await fetch(new URL(config.contact.endpoint, document.baseURI), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        body: JSON.stringify(message)
+      });
+    } catch (error) {
+      // fetch itself only rejects when no response came back
+      const networkError = new Error('Contact request could not reach the server');
+      networkError.isNetworkError = true;
+      throw networkError;
+    }
+    
+    if (response.ok) {
+      return { ok: true };
+    }
+    
+    if (response.status === 400 || response.status === 422) {
+      const body = await response.json().catch(() => ({}));
+      return { ok: false, fieldErrors: body.errors || {} };
+    }
+    
+    const error = new Error(`Contact request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+});
+
+// Messages written while offline. The service worker delivers them with
+// Background Sync; browsers without it retry from the page when back online.
+const contactOutbox = {
+  syncTag: 'contact-outbox',
+
+  init() {
+    window.addEventListener('online', () => {
+      if (!this.hasBackgroundSync()) {
+        this.flush();
+      }
+    });
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'OUTBOX_DELIVERED') {
+          this.notifyDelivered(e.data.count);
+        } else if (e.data && e.data.type === 'OUTBOX_DROPPED') {
+          this.notifyDropped(e.data.count);
+        }
+      });
+    }
+
+    // Pick up anything left over from an earlier visit
+    if (navigator.onLine && !this.hasBackgroundSync()) {
+      this.flush();
+    }
+  },
+
+  // Only a worker that controls the page can deliver in the background
+  hasBackgroundSync() {
+    return 'serviceWorker' in navigator && 'SyncManager' in window && Boolean(navigator.serviceWorker.controller);
+  },
+
+  async queue(message) {
+    await database.put('outbox', {
+      endpoint: new URL(config.contact.endpoint, document.baseURI).href,
+      message,
+      queuedAt: new Date().toISOString()
+    });
+
+    // Not awaited: `ready` never settles when the worker failed to
+    // register, and the form shouldn't wait on it
+    if (this.hasBackgroundSync()) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.sync.register(this.syncTag))
+        .catch(error => console.error('Background sync registration failed:', error));
+    }
+  },
+
+  async flush() {
+    let entries;
+    try {
+      entries = await database.getAll('outbox');
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+      return;
+    }
+
+    let delivered = 0;
+    let dropped = 0;
+
+    // Same rule as sw.js: network and server errors are retried later,
+    // any other refusal can't be fixed after the fact and is dropped
+    for (const entry of entries) {
+      let result;
+      try {
+        result = await contactTransport.send(entry.message);
+      } catch (error) {
+        if (error.isNetworkError || error.status >= 500) break;
+        result = { ok: false };
+      }
+
+      try {
+        await database.delete('outbox', entry.id);
+      } catch (error) {
+        console.error('Error updating outbox:', error);
+        break;
+      }
+
+      if (result.ok) {
+        delivered += 1;
+      } else {
+        dropped += 1;
+      }
+    }
+
+    if (delivered > 0) {
+      this.notifyDelivered(delivered);
+    }
+    if (dropped > 0) {
+      this.notifyDropped(dropped);
+    }
+  },
+
+  notifyDelivered(count) {
+    notifications.show(i18n.t('contact.delivered', { count }), 'success');
+  },
+
+  // The shopper was told these would be sent
+  notifyDropped(count) {
+    notifications.show(i18n.t('contact.dropped', { count }), 'error');
+  }
+};
+
+// ===== PAYMENT PROCESSING =====
+const payments = {
+  adapters: {},
+
+  // Adapters implement `charge({ amount, currency, card })` and resolve to
+  // `{ approved, transactionId }` or `{ approved: false, message }`
+  register(name, adapter) {
+    this.adapters[name] = adapter;
+  },
+
+  getAdapter() {
+    const adapter = this.adapters[config.payment.adapter];
+    if (!adapter) {
+      throw new Error(`Unknown payment adapter: ${config.payment.adapter}`);
+    }
+    return adapter;
+  },
+
+  charge(payment) {
+    return this.getAdapter().charge(payment);
+  }
+};
+
+// Local fake processor for development. Any valid card is approved except
+// numbers ending in 0002 (e.g. 4000 0000 0000 0002), which are declined.
+payments.register('mock', {
+  async charge({ amount, card }) {
+    // Simulate network delay
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    
+    if (card.number.endsWith('0002')) {
+      return { approved: false, message: i18n.t('payment.declined') };
+    }
+    
+    return { approved: true, transactionId: `mock_${utils.generateId()}`, amount };
+  }
+});
+
+// ===== REVIEWS =====
+const reviewStore = {
+  stores: {},
+
+  // Stores implement `list(productId)`, `summarize(productIds)` resolving to
+  // `{ [productId]: { average, count } }` and `add(review)` resolving to
+  // `{ ok: true, review }` or `{ ok: false, fieldErrors }`; they reject when
+  // the request can't be made
+  register(name, store) {
+    this.stores[name] = store;
+  },
+
+  getStore() {
+    const store = this.stores[config.reviews.store];
+    if (!store) {
+      throw new Error(`Unknown review store: ${config.reviews.store}`);
+    }
+    return store;
+  },
+
+  list(productId) {
+    return this.getStore().list(productId);
+  },
+
+  summarize(productIds) {
+    return this.getStore().summarize(productIds);
+  },
+
+  add(review) {
+    return this.getStore().add(review);
+  }
+};
+
+// Development store: reviews stay in this browser, and a review is verified
+// when its product was bought here
+reviewStore.register('local', {
+  async list(productId) {
+    const reviews = await database.getAll('reviews');
+    return reviews.filter(review => review.productId === productId);
+  },
+
+  async summarize(productIds) {
+    const reviews = await database.getAll('reviews');
+    const summaries = {};
+
+    productIds.forEach(productId => {
+      summaries[productId] = reviewsManager.summarize(reviews.filter(review => review.productId === productId));
+    });
+
+    return summaries;
+  },
+
+  async add(review) {
+    const saved = {
+      ...review,
+      verified: state.purchased.includes(review.productId),
+      createdAt: new Date().toISOString()
+    };
+
+    saved.id = await database.put('reviews', saved);
+    return { ok: true, review: saved };
+  }
+});
+
+reviewStore.register('http', {
+  getUrl(params = {}) {
+    const url = new URL(config.reviews.endpoint, document.baseURI);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url;
+  },
+
+  async request(url) {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Reviews request failed with status ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  async list(productId) {
+    const data = await this.request(this.getUrl({ product: productId }));
+    return data.items || [];
+  },
+
+  async summarize(productIds) {
+    const data = await this.request(this.getUrl({ summary: productIds.join(',') }));
+    return data.summaries || {};
+  },
+
+  // The server decides whether a review is a verified purchase
+  async add(review) {
+    const response = await fetch(this.getUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: JSON.stringify(review)
+    });
+
+    if (response.ok) {
+      return { ok: true, review: await response.json() };
+    }
+
+    if (response.status === 400 || response.status === 422) {
+      const body = await response.json().catch(() => ({}));
+      return { ok: false, fieldErrors: body.errors || {} };
+    }
+
+    throw new Error(`Review request failed with status ${response.status}`);
+  }
+});
+
+const reviewsManager = {
+  // Reviews of the product open in the detail view
+  product: null,
+  reviews: [],
+  // `{ average, count }` by product id, shared by cards and the detail view
+  summaries: {},
+  loadId: 0,
+
+  init() {
+    this.subscribe();
+    this.bindEvents();
+    this.renderRatingOptions();
+  },
+
+  subscribe() {
+    events.on('product:view', ({ product }) => this.load(product));
+    events.on('catalog:load', ({ products }) => {
+      this.loadSummaries(products.map(product => product.id));
+    });
+
+    events.on('checkout:complete', ({ order }) => {
+      state.purchased = [...new Set([...state.purchased, ...order.items.map(item => item.id)])];
+      storage.set('purchased', state.purchased);
+    });
+  },
+
+  bindEvents() {
+    if (!elements.reviewForm) return;
+
+    elements.reviewsSort.addEventListener('change', () => this.renderList());
+    elements.reviewsWrite.addEventListener('click', () => this.toggleForm(true));
+    elements.reviewCancel.addEventListener('click', () => this.toggleForm(false));
+
+    elements.reviewForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    formManager.attachFieldValidation(elements.reviewForm);
+  },
+
+  summarize(reviews) {
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return {
+      average: reviews.length ? Math.round((total / reviews.length) * 10) / 10 : 0,
+      count: reviews.length
+    };
+  },
+
+  // Ratings for cards, fetched once per product
+  async loadSummaries(productIds) {
+    const missing = productIds.filter(productId => !this.summaries[productId]);
+    if (missing.length === 0) return;
+
+    try {
+      Object.assign(this.summaries, await reviewStore.summarize(missing));
+    } catch (error) {
+      console.error('Error loading ratings:', error);
+      return;
+    }
+
+    missing.forEach(productId => this.updateCards(productId));
+  },
+
+  updateCards(productId) {
+    const ratings = elements.productsGrid.querySelectorAll(`[data-product-id="${productId}"] .product-rating`);
+    ratings.forEach(rating => {
+      rating.innerHTML = this.getRatingHtml(this.summaries[productId]);
+    });
+  },
+
+  async load(product) {
+    this.product = product;
+    this.reviews = [];
+    this.toggleForm(false);
+    this.render();
+
+    // A slow response mustn't replace the reviews of a product opened since
+    const loadId = ++this.loadId;
+    let reviews;
+    try {
+      reviews = await reviewStore.list(product.id);
+    } catch (error) {
+      console.error('Error loading reviews:', error);
+      if (loadId === this.loadId) {
+        elements.reviewsEmpty.textContent = i18n.t('reviews.loadError');
+      }
+      return;
+    }
+    if (loadId !== this.loadId) return;
+
+    this.reviews = reviews;
+    this.summaries[product.id] = this.summarize(reviews);
+    this.render();
+    this.updateCards(product.id);
+  },
+
+  render() {
+    if (!elements.reviewForm || !this.product) return;
+
+    elements.reviewsSummary.innerHTML = this.getRatingHtml(this.summaries[this.product.id]);
+    this.renderList();
+  },
+
+  getSorted() {
+    const newest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const sorters = {
+      newest,
+      'rating-desc': (a, b) => b.rating - a.rating || newest(a, b),
+      'rating-asc': (a, b) => a.rating - b.rating || newest(a, b),
+      verified: (a, b) => Number(Boolean(b.verified)) - Number(Boolean(a.verified)) || newest(a, b)
+    };
+
+    return [...this.reviews].sort(sorters[elements.reviewsSort.value] || newest);
+  },
+
+  renderList() {
+    const reviews = this.getSorted();
+
+    elements.reviewsList.innerHTML = templates.html`${reviews.map(review => templates.html`
+      <li class="review">
+        <div class="review-header">
+          ${this.getStarsHtml(review.rating)}
+          <h4 class="review-title">${review.title}</h4>
+        </div>
+        <p class="review-meta">
+          ${i18n.t('reviews.by', { author: review.author, date: this.formatDate(review.createdAt) })}
+          ${review.verified ? templates.html`<span class="review-verified">✓ ${i18n.t('reviews.verified')}</span>` : ''}
+        </p>
+        <p class="review-body">${review.body}</p>
+      </li>
+    `)}`;
+
+    elements.reviewsEmpty.textContent = i18n.t('reviews.empty');
+    elements.reviewsEmpty.hidden = reviews.length > 0;
+    elements.reviewsSort.hidden = reviews.length < 2;
+  },
+
+  // Stars are filled to `--rating` out of five by CSS
+  getStarsHtml(rating) {
+    const value = Math.min(5, Math.max(0, Number(rating) || 0));
+    return templates.html`
+      <span class="star-rating" style="--rating: ${value}" role="img" aria-label="${i18n.t('reviews.rated', { rating: this.formatRating(value) })}">★★★★★</span>
+    `;
+  },
+
+  getRatingHtml(summary) {
+    if (!summary) return '';
+
+    if (summary.count === 0) {
+      return templates.html`<span class="rating-none">${i18n.t('reviews.none')}</span>`;
+    }
+
+    return templates.html`
+      ${this.getStarsHtml(summary.average)}
+      <span class="rating-count">${i18n.t('reviews.count', { count: summary.count })}</span>
+    `;
+  },
+
+  formatRating(rating) {
+    return new Intl.NumberFormat(i18n.getLocaleTag(), { maximumFractionDigits: 1 }).format(rating);
+  },
+
+  formatDate(date) {
+    return new Intl.DateTimeFormat(i18n.getLocaleTag(), { dateStyle: 'medium' }).format(new Date(date));
+  },
+
+  // Labels need a count, so the options are built here rather than in markup
+  renderRatingOptions() {
+    if (!elements.reviewRatingOptions) return;
+
+    const selected = elements.reviewForm.elements.rating ? elements.reviewForm.elements.rating.value : '';
+
+    elements.reviewRatingOptions.innerHTML = templates.html`${[1, 2, 3, 4, 5].map(rating => templates.html`
+      <label class="variant-option rating-option">
+        <input type="radio" name="rating" value="${rating}" class="sr-only" required ${String(rating) === selected ? 'checked' : ''}>
+        <span aria-hidden="true">${rating} ★</span>
+        <span class="sr-only">${i18n.t('reviews.stars', { count: rating })}</span>
+      </label>
+    `)}`;
+  },
+
+  toggleForm(show) {
+    if (!elements.reviewForm) return;
+
+    if (!show) {
+      elements.reviewForm.reset();
+      elements.reviewForm.querySelectorAll('input, textarea').forEach(field => formManager.clearFieldError(field));
+    }
+
+    elements.reviewForm.hidden = !show;
+    elements.reviewsWrite.hidden = show;
+    elements.reviewsWrite.setAttribute('aria-expanded', String(show));
+
+    if (show) {
+      elements.reviewForm.querySelector('input').focus();
+    }
+  },
+
+  async handleSubmit() {
+    if (!formManager.validateForm(elements.reviewForm)) {
+      notifications.show(i18n.t('validation.fixErrors'), 'error');
+      events.emit('form:submit', { form: 'review', status: 'invalid' });
+      return;
+    }
+
+    const data = Object.fromEntries(new FormData(elements.reviewForm));
+    const product = this.product;
+    const submitBtn = elements.reviewForm.querySelector('button[type="submit"]');
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = i18n.t('reviews.posting');
+
+    try {
+      const result = await reviewStore.add({
+        productId: product.id,
+        rating: Number(data.rating),
+        author: data.author.trim(),
+        title: data.title.trim(),
+        body: data.body.trim()
+      });
+
+      if (result.ok) {
+        notifications.show(i18n.t('reviews.posted'), 'success');
+
+        if (this.product === product) {
+          this.reviews.push(result.review);
+          this.summaries[product.id] = this.summarize(this.reviews);
+          this.toggleForm(false);
+          this.render();
+        }
+        this.updateCards(product.id);
+      } else {
+        formManager.showServerErrors(result.fieldErrors || {}, elements.reviewForm);
+      }
+      events.emit('form:submit', { form: 'review', status: result.ok ? 'sent' : 'rejected' });
+    } catch (error) {
+      console.error('Review submission error:', error);
+      notifications.show(i18n.t('reviews.failed'), 'error');
+      events.emit('form:submit', { form: 'review', status: 'failed' });
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = i18n.t('reviews.submit');
+    }
+  }
+};
+
+// ===== WISHLIST =====
+const wishlistManager = {
+  init() {
+    this.subscribe();
+    this.bindEvents();
+    this.updateCount();
+    this.render();
+  },
+
+  subscribe() {
+    // Another tab changed the wishlist
+    storage.watch('wishlist', (wishlist) => {
+      state.wishlist = wishlist || [];
+      this.updateCount();
+      this.render();
+      state.products.forEach(product => this.updateCards(product.id));
+    });
+
+    events.on('wishlist:toggle', ({ product, added, silent }) => {
+      this.updateCount();
+      this.render();
+      this.updateCards(product.id);
+
+      if (silent) return;
+
+      notifications.show(
+        i18n.t(added ? 'wishlist.added' : 'wishlist.removed', { name: product.name }),
+        added ? 'success' : 'info'
+      );
+    });
+  },
+
+  bindEvents() {
+    if (!elements.wishlistDrawer) return;
+
+    elements.wishlistButton.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        router.navigate('/wishlist');
+      }
+    });
+    elements.wishlistClose.addEventListener('click', () => this.close());
+    elements.wishlistOverlay.addEventListener('click', () => this.close());
+
+    elements.wishlistItems.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const productId = button.closest('.wishlist-item').getAttribute('data-product-id');
+
+      if (button.getAttribute('data-action') === 'move') {
+        this.moveToCart(productId);
+      } else {
+        this.remove(productId);
+      }
+    });
+  },
+
+  has(productId) {
+    return state.wishlist.some(item => item.id === productId);
+  },
+
+  toggle(product) {
+    if (this.has(product.id)) {
+      this.remove(product.id);
+    } else {
+      this.add(product);
+    }
+  },
+
+  add(product) {
+    if (this.has(product.id)) return;
+
+    // Only what the panel needs; the full product is re-fetched on "move to cart"
+    state.wishlist.push({
+      id: product.id,
+      sku: product.sku,
+      name: product.name,
+      price: product.price,
+      image: product.image,
+      category: product.category
+    });
+
+    this.save();
+    events.emit('wishlist:toggle', { product, added: true, silent: false });
+  },
+
+  remove(productId, { silent = false } = {}) {
+    const item = state.wishlist.find(entry => entry.id === productId);
+    if (!item) return;
+
+    state.wishlist = state.wishlist.filter(entry => entry !== item);
+    this.save();
+    events.emit('wishlist:toggle', { product: item, added: false, silent });
+  },
+
+  async moveToCart(productId) {
+    const product = await catalogProvider.getProduct(productId);
+
+    if (!product) {
+      notifications.show(i18n.t('product.unavailable'), 'error');
+      return;
+    }
+
+    // Shoes need a size, so the detail view finishes the move
+    if (productManager.hasVariants(product)) {
+      router.navigate(`/product/${encodeURIComponent(productId)}`, {
+        replace: true,
+        viewOptions: {
+          onAddToCart: () => this.remove(productId, { silent: true })
+        }
+      });
+    } else if (productManager.addToCart(product)) {
+      this.close();
+      this.remove(productId, { silent: true });
+    }
+  },
+
+  save() {
+    storage.set('wishlist', state.wishlist);
+  },
+
+  updateCount() {
+    if (elements.wishlistCount) {
+      elements.wishlistCount.textContent = state.wishlist.length;
+    }
+  },
+
+  updateButton(button, isFavorited) {
+    button.classList.toggle('favorited', isFavorited);
+    button.textContent = isFavorited ? '❤️' : '♥';
+    button.setAttribute('aria-pressed', String(isFavorited));
+    button.setAttribute('aria-label', i18n.t(isFavorited ? 'product.removeFromFavorites' : 'product.addToFavorites'));
+  },
+
+  updateCards(productId) {
+    const isFavorited = this.has(productId);
+    const buttons = elements.productsGrid.querySelectorAll(`[data-product-id="${productId}"] .product-actions .btn-icon:first-child`);
+    buttons.forEach(button => this.updateButton(button, isFavorited));
+  },
+
+  isOpen() {
+    return elements.wishlistDrawer.classList.contains('active');
+  },
+
+  open() {
+    navigation.closeMobileMenu();
+    this.render();
+    elements.wishlistDrawer.classList.add('active');
+    elements.wishlistOverlay.classList.add('active');
+    elements.wishlistButton.setAttribute('aria-expanded', 'true');
+    dialogManager.open(elements.wishlistDrawer, { overlay: elements.wishlistOverlay, onClose: () => this.close() });
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.wishlistDrawer.classList.remove('active');
+    elements.wishlistOverlay.classList.remove('active');
+    elements.wishlistButton.setAttribute('aria-expanded', 'false');
+    dialogManager.close(elements.wishlistDrawer);
+    router.exit('wishlist');
+  },
+
+  render() {
+    if (!elements.wishlistItems) return;
+
+    elements.wishlistItems.innerHTML = templates.html`${state.wishlist.map(item => templates.html`
+      <li class="wishlist-item" data-product-id="${item.id}">
+        <img class="cart-item-image" src="${templates.url(item.image)}" alt="${item.name}" loading="lazy">
+        <div class="cart-item-details">
+          <h3 class="cart-item-title">${item.name}</h3>
+          <span class="cart-item-price">${utils.formatCurrency(item.price)}</span>
+          <div class="wishlist-item-actions">
+            <button class="btn btn-primary" data-action="move" type="button">${i18n.t('wishlist.moveToCart')}</button>
+            <button class="cart-item-remove" data-action="remove" aria-label="${i18n.t('wishlist.removeLabel', { name: item.name })}" type="button">${i18n.t('cart.remove')}</button>
+          </div>
+        </div>
+      </li>
+    `)}`;
+
+    elements.wishlistEmpty.style.display = state.wishlist.length ? 'none' : '';
+  }
+};
+
+// ===== PRODUCT COMPARISON =====
+// Up to `config.compare.limit` products picked from the cards. The
+// selection lasts for the browser session and `#/compare/a,b` shares it.
+const compareManager = {
+  // Products shown in the open table, in selection order
+  products: [],
+  renderId: 0,
+
+  // Table rows; `value` is what's compared, `format` what's shown
+  attributes: [
+    {
+      key: 'price',
+      value: product => promotions.getSalePrice(product),
+      format: product => productManager.getPriceHtml(product)
+    },
+    {
+      key: 'category',
+      value: product => product.category,
+      format: product => i18n.t(`category.${product.category}`)
+    },
+    {
+      key: 'badge',
+      value: product => product.badge || null
+    },
+    {
+      key: 'weight',
+      value: product => compareManager.getSpec(product, 'weight'),
+      format: product => compareManager.formatUnit(product.specs.weight, 'gram')
+    },
+    {
+      key: 'drop',
+      value: product => compareManager.getSpec(product, 'drop'),
+      format: product => compareManager.formatUnit(product.specs.drop, 'millimeter')
+    },
+    {
+      key: 'material',
+      value: product => compareManager.getSpec(product, 'material')
+    },
+    {
+      key: 'waterproof',
+      value: product => compareManager.getSpec(product, 'waterproof'),
+      format: product => i18n.t(product.specs.waterproof ? 'compare.yes' : 'compare.no')
+    }
+  ],
+
+  init() {
+    state.compare = state.compare.slice(0, config.compare.limit);
+    this.subscribe();
+    this.bindEvents();
+    this.renderTray();
+  },
+
+  subscribe() {
+    events.on('compare:change', () => {
+      this.updateCards();
+      this.renderTray();
+    });
+  },
+
+  bindEvents() {
+    if (!elements.compareTray) return;
+
+    elements.compareTrayOpen.addEventListener('click', () => {
+      router.navigate(this.getPath());
+    });
+    elements.compareTrayClear.addEventListener('click', () => this.clear());
+
+    elements.compareTrayList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-product-id]');
+      if (button) {
+        this.remove(button.getAttribute('data-product-id'));
+      }
+    });
+
+    elements.compareClose.addEventListener('click', () => this.close());
+    elements.compareOverlay.addEventListener('click', () => this.close());
+
+    elements.compareTable.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-product-id]');
+      if (!button) return;
+
+      this.remove(button.getAttribute('data-product-id'));
+
+      // Keep the shared URL in step with what's left in the table
+      if (state.compare.length > 0) {
+        router.navigate(this.getPath(), { replace: true });
+      } else {
+        this.close();
+      }
+    });
+  },
+
+  has(productId) {
+    return state.compare.includes(productId);
+  },
+
+  toggle(productId) {
+    if (this.has(productId)) {
+      this.remove(productId);
+    } else {
+      this.add(productId);
+    }
+  },
+
+  add(productId) {
+    if (this.has(productId)) return;
+
+    if (state.compare.length >= config.compare.limit) {
+      notifications.show(i18n.t('compare.full', { count: config.compare.limit }), 'warning');
+      return;
+    }
+
+    this.set([...state.compare, productId]);
+  },
+
+  remove(productId) {
+    this.set(state.compare.filter(id => id !== productId));
+  },
+
+  clear() {
+    this.set([]);
+  },
+
+  set(ids) {
+    state.compare = [...new Set(ids)].slice(0, config.compare.limit);
+
+    if (state.compare.length > 0) {
+      storage.set('compare', state.compare, sessionStorage);
+    } else {
+      storage.remove('compare', sessionStorage);
+    }
+
+    events.emit('compare:change', { ids: state.compare });
+  },
+
+  getPath() {
+    return `/compare/${state.compare.map(encodeURIComponent).join(',')}`;
+  },
+
+  // Ids that have left the catalog are dropped; with no catalog at all
+  // (offline) there's nothing to show
+  async getProducts(ids) {
+    try {
+      const products = await Promise.all(ids.map(id => catalogProvider.getProduct(id)));
+      return products.filter(Boolean);
+    } catch (error) {
+      console.error('Error loading compared products:', error);
+      return [];
+    }
+  },
+
+  getSpec(product, name) {
+    return product.specs && product.specs[name] !== undefined ? product.specs[name] : null;
+  },
+
+  formatUnit(value, unit) {
+    return new Intl.NumberFormat(i18n.getLocaleTag(), { style: 'unit', unit }).format(value);
+  },
+
+  updateCards() {
+    elements.productsGrid.querySelectorAll('.product-card').forEach(card => {
+      const toggle = card.querySelector('.compare-toggle');
+      if (toggle) {
+        toggle.checked = this.has(card.getAttribute('data-product-id'));
+      }
+    });
+  },
+
+  async renderTray() {
+    if (!elements.compareTray) return;
+
+    // Lookups are async; only the latest render may touch the DOM
+    const renderId = ++this.renderId;
+    const products = await this.getProducts(state.compare);
+    if (renderId !== this.renderId) return;
+
+    elements.compareTrayList.innerHTML = templates.html`${products.map(product => templates.html`
+      <li class="compare-tray-item">
+        <img class="compare-tray-image" src="${templates.url(product.image)}" alt="" loading="lazy">
+        <span class="compare-tray-name">${product.name}</span>
+        <button class="compare-tray-remove" type="button" data-product-id="${product.id}" aria-label="${i18n.t('compare.remove', { name: product.name })}">&times;</button>
+      </li>
+    `)}`;
+
+    const canCompare = products.length >= 2;
+    elements.compareTrayOpen.textContent = i18n.t('compare.open', { count: products.length });
+    elements.compareTrayOpen.disabled = !canCompare;
+    elements.compareTrayHint.hidden = canCompare;
+    elements.compareTray.hidden = products.length === 0;
+  },
+
+  isOpen() {
+    return elements.compareModal.classList.contains('active');
+  },
+
+  // Opening a shared link replaces this session's selection
+  async open(ids) {
+    const products = await this.getProducts(ids.slice(0, config.compare.limit));
+    if (products.length === 0) return false;
+
+    this.set(products.map(product => product.id));
+    this.renderTable(products);
+    navigation.closeMobileMenu();
+
+    elements.compareModal.classList.add('active');
+    elements.compareOverlay.classList.add('active');
+    dialogManager.open(elements.compareModal, { overlay: elements.compareOverlay, onClose: () => this.close() });
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.compareModal.classList.remove('active');
+    elements.compareOverlay.classList.remove('active');
+    dialogManager.close(elements.compareModal);
+    router.exit('compare');
+  },
+
+  renderTable(products) {
+    this.products = products;
+
+    const rows = this.attributes.map(attribute => {
+      const values = products.map(attribute.value);
+      const isDifferent = new Set(values).size > 1;
+
+      return templates.html`
+        <tr class="${isDifferent ? 'is-different' : ''}">
+          <th scope="row">
+            ${i18n.t(`compare.${attribute.key}`)}
+            ${isDifferent ? templates.html`<span class="sr-only">(${i18n.t('compare.differs')})</span>` : ''}
+          </th>
+          ${products.map((product, index) => templates.html`
+            <td>${values[index] === null ? '—' : (attribute.format ? attribute.format(product) : values[index])}</td>
+          `)}
+        </tr>
+      `;
+    });
+
+    elements.compareTable.innerHTML = templates.html`
+      <caption class="sr-only">${i18n.t('compare.title')}</caption>
+      <thead>
+        <tr>
+          <td></td>
+          ${products.map(product => templates.html`
+            <th scope="col">
+              <a class="compare-product" href="#/product/${encodeURIComponent(product.id)}">
+                <img class="compare-image" src="${templates.url(product.image)}" alt="" loading="lazy">
+                <span class="compare-name">${product.name}</span>
+              </a>
+              <button class="compare-remove" type="button" data-product-id="${product.id}" aria-label="${i18n.t('compare.remove', { name: product.name })}">&times;</button>
+            </th>
+          `)}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+};
+
+// ===== RECENTLY VIEWED =====
+const recentlyViewed = {
+  renderId: 0,
+
+  init() {
+    this.bindEvents();
+    this.render();
+  },
+
+  bindEvents() {
+    events.on('product:view', ({ product }) => this.add(product));
+
+    storage.watch('recentlyViewed', (ids) => {
+      state.recentlyViewed = ids || [];
+      this.render();
+    });
+
+    if (elements.recentlyViewedClear) {
+      elements.recentlyViewedClear.addEventListener('click', () => this.clear());
+    }
+  },
+
+  add(product) {
+    state.recentlyViewed = [product.id, ...state.recentlyViewed.filter(id => id !== product.id)]
+      .slice(0, config.recommendations.recentLimit);
+    storage.set('recentlyViewed', state.recentlyViewed);
+    this.render();
+  },
+
+  clear() {
+    state.recentlyViewed = [];
+    storage.remove('recentlyViewed');
+    this.render();
+    recommendations.render();
+  },
+
+  // Products that have since left the catalog are skipped; when the
+  // catalog can't be reached the rail stays empty
+  async getProducts() {
+    try {
+      const products = await Promise.all(state.recentlyViewed.map(id => catalogProvider.getProduct(id)));
+      return products.filter(Boolean);
+    } catch (error) {
+      console.error('Error loading recently viewed products:', error);
+      return [];
+    }
+  },
+
+  async render() {
+    if (!elements.recentlyViewed) return;
+
+    // Lookups are async; only the latest render may touch the DOM
+    const renderId = ++this.renderId;
+    const products = await this.getProducts();
+    if (renderId !== this.renderId) return;
+
+    elements.recentlyViewedList.innerHTML = '';
+    products.forEach(product => {
+      elements.recentlyViewedList.appendChild(productManager.createRailItem(product));
+    });
+    elements.recentlyViewed.hidden = products.length === 0;
+  }
+};
+
+// ===== RECOMMENDATIONS =====
+// Ranks related products on the device: a shared category, a price in the
+// same band and how often two products sat in a cart together each add
+// points against every product the shopper has shown interest in
+const recommendations = {
+  renderId: 0,
+
+  init() {
+    this.bindEvents();
+    this.render();
+  },
+
+  bindEvents() {
+    events.on('cart:change', () => {
+      this.recordCart();
+      this.render();
+    });
+    events.on('product:view', () => this.renderGrid());
+    events.on('catalog:load', () => this.render());
+  },
+
+  // Each distinct set of SKUs the cart has held, newest last; a cart that
+  // only grew replaces its previous snapshot
+  recordCart() {
+    const skus = [...new Set(cartManager.getItems().map(item => item.sku))].sort();
+    if (skus.length === 0) return;
+
+    const history = [...state.cartHistory];
+    const last = history[history.length - 1];
+
+    if (last && last.every(sku => skus.includes(sku))) {
+      if (last.length === skus.length) return;
+      history[history.length - 1] = skus;
+    } else {
+      history.push(skus);
+    }
+
+    state.cartHistory = history.slice(-config.recommendations.historyLimit);
+    storage.set('cartHistory', state.cartHistory);
+  },
+
+  countTogether(skuA, skuB) {
+    return state.cartHistory.filter(skus => skus.includes(skuA) && skus.includes(skuB)).length;
+  },
+
+  // Static catalogs are fully loaded; APIs only offer what's been paged in
+  getCandidates() {
+    return catalogProvider.products || state.products;
+  },
+
+  score(product, seed) {
+    const { weights, priceBand } = config.recommendations;
+    let score = 0;
+
+    if (product.category === seed.category) score += weights.category;
+    if (Math.abs(product.price - seed.price) <= seed.price * priceBand) score += weights.priceBand;
+    score += this.countTogether(product.sku, seed.sku) * weights.together;
+
+    return score;
+  },
+
+  // Seeds and anything in the cart are never recommended back
+  rank(seeds, limit) {
+    const excluded = new Set([...seeds, ...state.cart].map(product => product.sku));
+
+    return this.getCandidates()
+      .filter(product => !excluded.has(product.sku) && productManager.getStock(product) > 0)
+      .map(product => ({
+        product,
+        score: seeds.reduce((total, seed) => total + this.score(product, seed), 0)
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => entry.product);
+  },
+
+  render() {
+    this.renderGrid();
+    this.renderCart();
+  },
+
+  // Under the grid: based on what was viewed recently and what's in the cart
+  async renderGrid() {
+    if (!elements.recommendations) return;
+
+    const renderId = ++this.renderId;
+    const viewed = await recentlyViewed.getProducts();
+    if (renderId !== this.renderId) return;
+
+    const products = this.rank([...viewed, ...cartManager.getItems()], config.recommendations.gridLimit);
+    this.renderList(elements.recommendations, elements.recommendationsList, products);
+  },
+
+  renderCart() {
+    if (!elements.cartRecommendations) return;
+
+    const products = this.rank(cartManager.getItems(), config.recommendations.cartLimit);
+    this.renderList(elements.cartRecommendations, elements.cartRecommendationsList, products);
+  },
+
+  renderList(section, list, products) {
+    list.innerHTML = '';
+    products.forEach(product => {
+      list.appendChild(productManager.createRailItem(product));
+    });
+    section.hidden = products.length === 0;
+  }
+};
+
+// ===== CATALOG ADMIN =====
+// Products edited here are kept in IndexedDB and only replace the
+// configured catalog, in this browser, once published.
+const catalogAdmin = {
+  // Import/export columns; sizes are space-separated, stock as in the form
+  columns: ['id', 'sku', 'name', 'description', 'price', 'image', 'badge', 'category', 'sizes', 'stock'],
+  products: [],
+  // Id of the product in the form, null for a new one
+  editing: null,
+
+  init() {
+    this.bindEvents();
+    this.renderCategoryOptions();
+
+    storage.watch('catalogSource', (source) => {
+      state.catalogSource = source || 'remote';
+      if (elements.adminPublish) {
+        elements.adminPublish.checked = state.catalogSource === 'local';
+      }
+      this.refreshStorefront();
+    });
+  },
+
+  bindEvents() {
+    if (!elements.adminModal) return;
+
+    elements.adminClose.addEventListener('click', () => this.close());
+    elements.adminOverlay.addEventListener('click', () => this.close());
+
+    elements.adminLock.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlock();
+    });
+
+    elements.adminNew.addEventListener('click', () => this.edit(null));
+    elements.adminCancel.addEventListener('click', () => this.closeForm());
+    elements.adminPublish.addEventListener('change', () => this.setPublished(elements.adminPublish.checked));
+    elements.adminExportCsv.addEventListener('click', () => this.exportFile('csv'));
+    elements.adminExportJson.addEventListener('click', () => this.exportFile('json'));
+
+    elements.adminImport.addEventListener('change', async () => {
+      const [file] = elements.adminImport.files;
+      if (!file) return;
+
+      await this.importFile(file);
+      // Lets the same file be picked again after fixing it
+      elements.adminImport.value = '';
+    });
+
+    elements.adminList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const productId = button.closest('[data-product-id]').getAttribute('data-product-id');
+      const action = button.getAttribute('data-action');
+
+      if (action === 'up' || action === 'down') {
+        this.move(productId, action === 'up' ? -1 : 1, action);
+      } else if (action === 'edit') {
+        this.edit(productId);
+      } else if (action === 'delete') {
+        this.remove(productId);
+      }
+    });
+
+    elements.adminForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    formManager.attachFieldValidation(elements.adminLock);
+    formManager.attachFieldValidation(elements.adminForm);
+  },
+
+  isOpen() {
+    return elements.adminModal.classList.contains('active');
+  },
+
+  open() {
+    // Not configured, so there's no editor to show
+    if (!elements.adminModal || !config.admin.passcodeHash) return false;
+
+    navigation.closeMobileMenu();
+    elements.adminModal.classList.add('active');
+    elements.adminOverlay.classList.add('active');
+    dialogManager.open(elements.adminModal, { overlay: elements.adminOverlay, onClose: () => this.close() });
+
+    if (state.adminUnlocked) {
+      this.showEditor();
+    } else {
+      this.showLock();
+    }
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.closeForm();
+    elements.adminImportReport.hidden = true;
+    elements.adminModal.classList.remove('active');
+    elements.adminOverlay.classList.remove('active');
+    dialogManager.close(elements.adminModal);
+    router.exit('admin');
+  },
+
+  showLock() {
+    elements.adminBody.hidden = true;
+    elements.adminLock.hidden = false;
+    elements.adminLock.elements.passcode.focus();
+  },
+
+  // A client-side check: it keeps shoppers out of the editor, nothing more
+  async unlock() {
+    const field = elements.adminLock.elements.passcode;
+    if (!formManager.validateField(field)) return;
+
+    // crypto.subtle only exists on secure origins (https or localhost)
+    if (!window.crypto || !crypto.subtle) {
+      formManager.showFieldError(field, i18n.t('admin.lockUnavailable'));
+      return;
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(field.value));
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    if (hash !== config.admin.passcodeHash) {
+      formManager.showFieldError(field, i18n.t('admin.wrongPasscode'));
+      field.select();
+      return;
+    }
+
+    state.adminUnlocked = true;
+    storage.set('adminUnlocked', true, sessionStorage);
+    elements.adminLock.reset();
+    this.showEditor();
+  },
+
+  async showEditor() {
+    elements.adminLock.hidden = true;
+    elements.adminBody.hidden = false;
+    elements.adminPublish.checked = state.catalogSource === 'local';
+    this.closeForm();
+
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('Error loading the catalog editor:', error);
+      notifications.show(i18n.t('admin.loadError'), 'error');
+      return;
+    }
+
+    this.renderList();
+    elements.adminNew.focus();
+  },
+
+  // Until a catalog is published, an empty editor starts from the one the
+  // shop is configured with; a published empty catalog is left alone
+  async load() {
+    let products = await this.getProducts();
+
+    if (products.length === 0 && state.catalogSource !== 'local') {
+      const data = await catalogProvider.request(new URL(config.catalog.endpoint, document.baseURI));
+      products = Array.isArray(data) ? data : data.items || [];
+      await database.replaceAll('catalog', products.map((product, position) => ({ ...product, position })));
+    }
+
+    this.products = products;
+  },
+
+  async getProducts() {
+    const records = await database.getAll('catalog');
+    return records
+      .sort((a, b) => a.position - b.position)
+      .map(({ position, ...product }) => product);
+  },
+
+  // Products are stored with their position, which is the grid order
+  async saveAll(products) {
+    await database.replaceAll('catalog', products.map((product, position) => ({ ...product, position })));
+    this.products = products;
+
+    if (state.catalogSource === 'local') {
+      await this.refreshStorefront();
+    }
+  },
+
+  // Same as saveAll, but reports failures to the editor
+  async update(products) {
+    try {
+      await this.saveAll(products);
+      return true;
+    } catch (error) {
+      console.error('Error saving the catalog:', error);
+      notifications.show(i18n.t('admin.saveError'), 'error');
+      return false;
+    }
+  },
+
+  // The edited catalog when it's published, otherwise null
+  async getPublished() {
+    if (state.catalogSource !== 'local') return null;
+
+    try {
+      return await this.getProducts();
+    } catch (error) {
+      console.error('Error loading the edited catalog:', error);
+      return null;
+    }
+  },
+
+  async setPublished(published) {
+    state.catalogSource = published ? 'local' : 'remote';
+    storage.set('catalogSource', state.catalogSource);
+    notifications.show(i18n.t(published ? 'admin.published' : 'admin.unpublished'), 'success');
+    await this.refreshStorefront();
+  },
+
+  // Cart lines are checked again since prices or products may be gone
+  async refreshStorefront() {
+    await productManager.reload();
+    await cartManager.revalidate();
+    recentlyViewed.render();
+    recommendations.render();
+  },
+
+  formatPrice(price) {
+    return new Intl.NumberFormat(i18n.getLocaleTag(), {
+      style: 'currency',
+      currency: config.currency.base
+    }).format(price);
+  },
+
+  getStockLabel(product) {
+    const stock = productManager.getStock(product);
+    return stock === Infinity ? i18n.t('admin.unlimited') : i18n.t('admin.inStock', { count: stock });
+  },
+
+  renderList() {
+    const last = this.products.length - 1;
+
+    elements.adminList.innerHTML = templates.html`${this.products.map((product, index) => templates.html`
+      <li class="admin-item" data-product-id="${product.id}">
+        <img class="admin-item-image" src="${templates.url(product.image)}" alt="" loading="lazy">
+        <div class="admin-item-info">
+          <span class="admin-item-name">${product.name}</span>
+          <span class="admin-item-meta">
+            ${product.sku} · ${i18n.t(`category.${product.category}`)} · ${this.formatPrice(product.price)} · ${this.getStockLabel(product)}
+          </span>
+        </div>
+        <div class="admin-item-actions">
+          <button type="button" class="admin-action" data-action="up" aria-label="${i18n.t('admin.moveUp', { name: product.name })}" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" class="admin-action" data-action="down" aria-label="${i18n.t('admin.moveDown', { name: product.name })}" ${index === last ? 'disabled' : ''}>↓</button>
+          <button type="button" class="admin-action" data-action="edit" aria-label="${i18n.t('admin.editLabel', { name: product.name })}">${i18n.t('admin.edit')}</button>
+          <button type="button" class="admin-action admin-action-delete" data-action="delete" aria-label="${i18n.t('admin.deleteLabel', { name: product.name })}">${i18n.t('admin.delete')}</button>
+        </div>
+      </li>
+    `)}`;
+
+    elements.adminEmpty.hidden = this.products.length > 0;
+  },
+
+  getItemButton(productId, action) {
+    const item = elements.adminList.querySelector(`[data-product-id="${productId}"]`);
+    return item ? item.querySelector(`button[data-action="${action}"]`) : null;
+  },
+
+  async move(productId, offset, action) {
+    const index = this.products.findIndex(product => product.id === productId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target > this.products.length - 1) return;
+
+    const products = [...this.products];
+    [products[index], products[target]] = [products[target], products[index]];
+    if (!await this.update(products)) return;
+
+    this.renderList();
+
+    // Focus stays with the product; at either end its other arrow takes it
+    const button = this.getItemButton(productId, action);
+    if (button.disabled) {
+      this.getItemButton(productId, action === 'up' ? 'down' : 'up').focus();
+    } else {
+      button.focus();
+    }
+  },
+
+  async remove(productId) {
+    const index = this.products.findIndex(product => product.id === productId);
+    const product = this.products[index];
+    if (!product) return;
+
+    if (!await this.update(this.products.filter(item => item !== product))) return;
+
+    if (this.editing === productId) {
+      this.closeForm();
+    }
+    this.renderList();
+    elements.adminNew.focus();
+
+    notifications.show(i18n.t('admin.deleted', { name: product.name }), 'info', {
+      action: { label: i18n.t('toast.undo'), onClick: () => this.restore(product, index) }
+    });
+  },
+
+  async restore(product, index) {
+    // An import may have brought it back in the meantime
+    if (this.products.some(item => item.id === product.id)) return;
+
+    const products = [...this.products];
+    products.splice(Math.min(index, products.length), 0, product);
+
+    if (await this.update(products)) {
+      this.renderList();
+    }
+  },
+
+  renderFormTitle() {
+    elements.adminFormTitle.textContent = i18n.t(this.editing ? 'admin.editTitle' : 'admin.newTitle');
+  },
+
+  edit(productId) {
+    const product = this.products.find(item => item.id === productId) || null;
+    const record = product ? this.toRecord(product) : {};
+    const form = elements.adminForm;
+
+    this.closeForm();
+    this.editing = product ? product.id : null;
+
+    this.columns.forEach(column => {
+      if (form.elements[column]) {
+        form.elements[column].value = record[column] || '';
+      }
+    });
+
+    this.renderFormTitle();
+    form.hidden = false;
+    form.elements.name.focus();
+  },
+
+  closeForm() {
+    if (!elements.adminForm) return;
+
+    this.editing = null;
+    elements.adminForm.reset();
+    elements.adminForm.querySelectorAll('input, textarea, select').forEach(field => formManager.clearFieldError(field));
+    elements.adminForm.hidden = true;
+  },
+
+  async save() {
+    const form = elements.adminForm;
+
+    if (!formManager.validateForm(form)) {
+      notifications.show(i18n.t('validation.fixErrors'), 'error');
+      return;
+    }
+
+    const base = this.products.find(item => item.id === this.editing) || null;
+    const others = this.products.filter(item => item !== base);
+    const { product, errors } = this.validate(Object.fromEntries(new FormData(form)), others, base);
+
+    if (!product) {
+      formManager.showServerErrors(errors, form);
+      return;
+    }
+
+    const products = base
+      ? this.products.map(item => (item === base ? product : item))
+      : [...this.products, product];
+    if (!await this.update(products)) return;
+
+    notifications.show(i18n.t('admin.saved', { name: product.name }), 'success');
+    this.closeForm();
+    this.renderList();
+    this.getItemButton(product.id, 'edit').focus();
+  },
+
+  // Fields the form doesn't edit but JSON imports can bring; the product
+  // views rely on these shapes
+  fieldChecks: {
+    longDescription: value => typeof value === 'string',
+    addedAt: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+    images: value => Array.isArray(value) &&
+      value.every(url => typeof url === 'string' && templates.url(url) !== ''),
+    widths: value => Array.isArray(value) &&
+      value.every(width => typeof width === 'string' && width.trim() !== ''),
+    colors: value => Array.isArray(value) &&
+      value.every(color => Boolean(color) && typeof color === 'object' &&
+        typeof color.name === 'string' && color.name.trim() !== '' && templates.color(color.hex) === color.hex),
+    specs: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(spec => spec === null || ['string', 'number', 'boolean'].includes(typeof spec))
+  },
+
+  // Checks one product given as column strings. `others` is the rest of the
+  // catalog, for uniqueness; `base` holds fields kept from before (images,
+  // colors, specs...). Returns the product, or errors keyed by column.
+  validate(record, others, base = null) {
+    const value = column => String(record[column] === undefined || record[column] === null ? '' : record[column]).trim();
+    const errors = {};
+
+    ['sku', 'name', 'description', 'price', 'image', 'category'].forEach(column => {
+      if (!value(column)) {
+        errors[column] = i18n.t('validation.required', { field: formManager.getFieldLabel(column) });
+      }
+    });
+
+    const id = value('id');
+    if (id && !/^[a-z0-9-]+$/.test(id)) {
+      errors.id = i18n.t('validation.id');
+    }
+
+    const sku = value('sku');
+    if (sku && !/^[a-z0-9][a-z0-9-]*$/i.test(sku)) {
+      errors.sku = i18n.t('validation.sku');
+    } else if (sku && others.some(item => String(item.sku).toLowerCase() === sku.toLowerCase())) {
+      errors.sku = i18n.t('validation.skuTaken');
+    }
+
+    const name = value('name');
+    if (name && name.length < formManager.minLengths.name) {
+      errors.name = i18n.t('validation.minLength', { field: formManager.getFieldLabel('name'), min: formManager.minLengths.name });
+    }
+
+    const price = Number(value('price'));
+    if (value('price') && !(Number.isFinite(price) && price > 0)) {
+      errors.price = i18n.t('validation.price');
+    }
+
+    const image = value('image');
+    if (image && !templates.url(image)) {
+      errors.image = i18n.t('validation.image');
+    }
+
+    const category = value('category');
+    if (category && !config.catalog.categories.includes(category)) {
+      errors.category = i18n.t('validation.category', { categories: config.catalog.categories.join(', ') });
+    }
+
+    const badge = value('badge');
+    if (badge.length > 20) {
+      errors.badge = i18n.t('validation.maxLength', { field: formManager.getFieldLabel('badge'), max: 20 });
+    }
+
+    const sizes = [...new Set(value('sizes').split(/[\s,]+/).filter(Boolean))];
+    const { stock, error } = this.parseStock(value('stock'), sizes);
+    if (error) {
+      errors.stock = error;
+    }
+
+    Object.entries(this.fieldChecks).forEach(([field, isValid]) => {
+      if (base && base[field] !== undefined && !isValid(base[field])) {
+        errors[field] = i18n.t(`validation.${field}`);
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return { product: null, errors };
+    }
+
+    const product = {
+      ...base,
+      id: id || (base && base.id) || this.createId(name, others),
+      sku,
+      name,
+      description: value('description'),
+      price: Math.round(price * 100) / 100,
+      image,
+      badge,
+      category,
+      addedAt: (base && base.addedAt) || new Date().toISOString().slice(0, 10),
+      sizes,
+      stock
+    };
+
+    // Optional fields are left out rather than saved empty
+    if (!badge) delete product.badge;
+    if (sizes.length === 0) delete product.sizes;
+    if (stock === undefined) delete product.stock;
+
+    return { product, errors };
+  },
+
+  // Empty means unlimited, a number counts the whole product and
+  // `size:count` pairs count each size
+  parseStock(text, sizes) {
+    if (!text) return { stock: undefined };
+    if (/^\d+$/.test(text)) return { stock: Number(text) };
+
+    const stock = {};
+    const pairs = text.split(/[\s,]+/).filter(Boolean).map(pair => pair.match(/^([^:]+):(\d+)$/));
+
+    if (pairs.some(pair => !pair)) {
+      return { error: i18n.t('validation.stock') };
+    }
+
+    const unknown = pairs.find(([, size]) => !sizes.includes(size));
+    if (unknown) {
+      return { error: i18n.t('validation.stockSize', { size: unknown[1] }) };
+    }
+
+    pairs.forEach(([, size, count]) => {
+      stock[size] = Number(count);
+    });
+    return { stock };
+  },
+
+  // A slug of the name, numbered when another product already has it
+  createId(name, others) {
+    const slug = name
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'product';
+
+    let id = slug;
+    let suffix = 2;
+    while (others.some(item => item.id === id)) {
+      id = `${slug}-${suffix}`;
+      suffix += 1;
+    }
+    return id;
+  },
+
+  formatStock(stock, sizes = []) {
+    if (stock && typeof stock === 'object') {
+      // Keys like "8" would otherwise come before "7.5", so follow the size list
+      const order = size => (sizes.includes(size) ? sizes.indexOf(size) : sizes.length);
+      return Object.keys(stock)
+        .sort((a, b) => order(a) - order(b))
+        .map(size => `${size}:${stock[size]}`)
+        .join(' ');
+    }
+    return String(stock);
+  },
+
+  // Column strings, as shown in the form and written to CSV
+  toRecord(product) {
+    const record = {};
+
+    this.columns.forEach(column => {
+      const value = product[column];
+
+      if (value === undefined || value === null) {
+        record[column] = '';
+      } else if (column === 'stock') {
+        record[column] = this.formatStock(value, Array.isArray(product.sizes) ? product.sizes : []);
+      } else {
+        record[column] = Array.isArray(value) ? value.join(' ') : String(value);
+      }
+    });
+
+    return record;
+  },
+
+  // RFC 4180: quoted fields may contain commas, line breaks and "" quotes
+  parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i += 1) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && input[i + 1] === '\n') i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  },
+
+  // Rows are numbered as in a spreadsheet, so the first product is row 2.
+  // Columns missing from the file keep their current values.
+  fromCsv(text) {
+    const [header = [], ...rows] = this.parseCsv(text);
+    const columns = header.map(column => column.trim());
+
+    if (!columns.some(column => this.columns.includes(column))) {
+      throw new Error('CSV import needs a header row');
+    }
+
+    return rows
+      .map((cells, index) => ({ row: index + 2, cells }))
+      .filter(({ cells }) => cells.some(cell => cell.trim()))
+      .map(({ row, cells }) => ({
+        row,
+        record: Object.fromEntries(columns.map((column, index) => [column, cells[index] || ''])),
+        extras: {}
+      }));
+  },
+
+  // An array of products as in products.json, or `{ items }`; keys
+  // outside the columns are kept as they are
+  fromJson(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data && data.items;
+
+    if (!Array.isArray(items)) {
+      throw new Error('JSON import needs an array of products');
+    }
+
+    return items.map((item, index) => {
+      const product = item && typeof item === 'object' ? item : {};
+      const record = this.toRecord(product);
+      const extras = { ...product };
+
+      this.columns.forEach(column => {
+        if (!(column in product)) delete record[column];
+        delete extras[column];
+      });
+
+      return { row: index + 1, record, extras };
+    });
+  },
+
+  // Rows update the product with the same id, or SKU when there's no id;
+  // valid rows are saved even when others have errors
+  async importFile(file) {
+    const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+    let rows;
+
+    try {
+      const text = await file.text();
+      rows = isJson ? this.fromJson(text) : this.fromCsv(text);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      this.renderReport(templates.html`<p>${i18n.t('admin.importUnreadable', { file: file.name })}</p>`);
+      return;
+    }
+
+    const products = [...this.products];
+    const problems = [];
+    let imported = 0;
+
+    rows.forEach(({ row, record, extras }) => {
+      const id = String(record.id || '').trim();
+      const sku = String(record.sku || '').trim().toLowerCase();
+      const index = products.findIndex(item => (id ? item.id === id : String(item.sku).toLowerCase() === sku));
+      const existing = index >= 0 ? products[index] : null;
+
+      const { product, errors } = this.validate(
+        existing ? { ...this.toRecord(existing), ...record } : record,
+        products.filter(item => item !== existing),
+        existing ? { ...existing, ...extras } : extras
+      );
+
+      if (!product) {
+        problems.push({ row, errors: Object.values(errors) });
+        return;
+      }
+
+      if (existing) {
+        products[index] = product;
+      } else {
+        products.push(product);
+      }
+      imported += 1;
+    });
+
+    if (imported > 0) {
+      if (!await this.update(products)) return;
+      this.renderList();
+    }
+
+    const rowKey = isJson ? 'admin.importItem' : 'admin.importRow';
+    this.renderReport(templates.html`
+      <p>${i18n.t('admin.imported', { count: imported })}</p>
+      ${problems.length ? templates.html`
+        <p>${i18n.t('admin.importProblems', { count: problems.length })}</p>
+        <ul class="admin-report-list">
+          ${problems.map(({ row, errors }) => templates.html`<li>${i18n.t(rowKey, { row, errors: errors.join(' ') })}</li>`)}
+        </ul>
+      ` : ''}
+    `);
+  },
+
+  renderReport(markup) {
+    elements.adminImportReport.innerHTML = markup;
+    elements.adminImportReport.hidden = false;
+  },
+
+  toCsv(products) {
+    const quote = cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+    const rows = products.map(product => {
+      const record = this.toRecord(product);
+      return this.columns.map(column => record[column]);
+    });
+
+    return [this.columns, ...rows].map(cells => cells.map(quote).join(',')).join('\r\n') + '\r\n';
+  },
+
+  // JSON keeps every field, so it can stand in for products.json
+  exportFile(format) {
+    const content = format === 'csv' ? this.toCsv(this.products) : JSON.stringify(this.products, null, 2);
+    const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `nox-catalog.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  // Options are translated, so they're built here rather than in markup
+  renderCategoryOptions() {
+    if (!elements.adminForm) return;
+
+    const select = elements.adminForm.elements.category;
+    const selected = select.value;
+
+    select.innerHTML = templates.html`
+      <option value="">${i18n.t('admin.chooseCategory')}</option>
+      ${config.catalog.categories.map(category => templates.html`
+        <option value="${category}" ${category === selected ? 'selected' : ''}>${i18n.t(`category.${category}`)}</option>
+      `)}
+    `;
+  },
+
+  refresh() {
+    if (!elements.adminModal) return;
+
+    this.renderCategoryOptions();
+
+    if (this.isOpen() && !elements.adminBody.hidden) {
+      this.renderList();
+      this.renderFormTitle();
+    }
+  }
+};
+
+// ===== CHECKOUT =====
+const checkoutManager = {
+  steps: ['shipping', 'method', 'payment', 'review'],
+  currentStep: 0,
+  isProcessing: false,
+
+  init() {
+    this.renderShippingMethods();
+    this.bindEvents();
+  },
+
+  bindEvents() {
+    if (!elements.checkoutModal) return;
+
+    elements.cartCheckout.addEventListener('click', () => cartManager.startCheckout());
+    elements.checkoutClose.addEventListener('click', () => this.close());
+    elements.checkoutOverlay.addEventListener('click', () => this.close());
+    elements.checkoutBack.addEventListener('click', () => this.previousStep());
+    elements.checkoutNext.addEventListener('click', () => this.nextStep());
+
+    elements.checkoutDone.addEventListener('click', () => {
+      router.navigate('/', { replace: true });
+      utils.scrollToElement(document.getElementById('products'), 80);
+    });
+
+    // Replaces the finished checkout, so going back doesn't reopen it
+    elements.checkoutReceipt.addEventListener('click', () => {
+      const number = elements.checkoutReceipt.getAttribute('data-order-number');
+      router.navigate(`/orders/${encodeURIComponent(number)}`, { replace: true });
+    });
+
+    // Enter inside a step advances instead of submitting the whole form
+    elements.checkoutForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.nextStep();
+    });
+
+    elements.shippingMethods.addEventListener('change', () => {
+      this.renderTotals();
+    });
+
+    formManager.attachFieldValidation(elements.checkoutForm);
+  },
+
+  isOpen() {
+    return elements.checkoutModal.classList.contains('active');
+  },
+
+  open() {
+    if (cartManager.getItems().length === 0) {
+      notifications.show(i18n.t('checkout.emptyCart'), 'warning');
+      return;
+    }
+
+    navigation.closeMobileMenu();
+
+    elements.checkoutForm.style.display = '';
+    elements.checkoutSteps.style.display = '';
+    elements.checkoutFooter.style.display = '';
+    elements.checkoutConfirmation.classList.remove('active');
+    this.setPaymentError('');
+    this.renderShippingMethods();
+    this.goToStep(0);
+
+    elements.checkoutModal.classList.add('active');
+    elements.checkoutOverlay.classList.add('active');
+    dialogManager.open(elements.checkoutModal, { overlay: elements.checkoutOverlay, onClose: () => this.close() });
+  },
+
+  close() {
+    if (!this.isOpen() || this.isProcessing) return;
+
+    elements.checkoutModal.classList.remove('active');
+    elements.checkoutOverlay.classList.remove('active');
+    dialogManager.close(elements.checkoutModal);
+    router.exit('checkout');
+  },
+
+  getStepElement(step) {
+    return elements.checkoutForm.querySelector(`.checkout-step[data-step="${step}"]`);
+  },
+
+  goToStep(index) {
+    this.currentStep = index;
+    const currentStep = this.steps[index];
+
+    this.steps.forEach((step, stepIndex) => {
+      this.getStepElement(step).classList.toggle('active', stepIndex === index);
+
+      const indicator = elements.checkoutSteps.querySelector(`[data-step="${step}"]`);
+      indicator.classList.toggle('active', stepIndex === index);
+      indicator.classList.toggle('complete', stepIndex < index);
+      if (stepIndex === index) {
+        indicator.setAttribute('aria-current', 'step');
+      } else {
+        indicator.removeAttribute('aria-current');
+      }
+    });
+
+    if (currentStep === 'method') {
+      this.renderShippingMethods();
+    }
+
+    if (currentStep === 'review') {
+      this.renderReview();
+    }
+
+    elements.checkoutBack.disabled = index === 0;
+    elements.checkoutNext.textContent = this.getNextLabel();
+    this.renderTotals();
+
+    const firstField = this.getStepElement(currentStep).querySelector('input, select');
+    if (firstField && this.isOpen()) {
+      firstField.focus();
+    }
+  },
+
+  nextStep() {
+    if (this.isProcessing) return;
+
+    const step = this.steps[this.currentStep];
+
+    if (!formManager.validateForm(this.getStepElement(step))) {
+      notifications.show(i18n.t('validation.fixErrors'), 'error');
+      return;
+    }
+
+    if (step === 'review') {
+      this.placeOrder();
+    } else {
+      this.goToStep(this.currentStep + 1);
+    }
+  },
+
+  previousStep() {
+    if (this.isProcessing || this.currentStep === 0) return;
+    this.goToStep(this.currentStep - 1);
+  },
+
+  getNextLabel() {
+    return i18n.t(this.steps[this.currentStep] === 'review' ? 'checkout.placeOrder' : 'checkout.continue');
+  },
+
+  // Redraw the runtime-rendered parts after a language or currency change
+  refresh() {
+    this.renderShippingMethods();
+    this.renderTotals();
+
+    if (this.steps[this.currentStep] === 'review') {
+      this.renderReview();
+    }
+    if (!this.isProcessing) {
+      elements.checkoutNext.textContent = this.getNextLabel();
+    }
+  },
+
+  getFormData() {
+    return Object.fromEntries(new FormData(elements.checkoutForm));
+  },
+
+  getShippingMethod() {
+    const { shippingMethod } = this.getFormData();
+    const methods = config.checkout.shippingMethods;
+    return methods.find(method => method.id === shippingMethod) || methods[0];
+  },
+
+  // Standard shipping is free above the threshold
+  getShippingCost(method, subtotal) {
+    if (method.id === 'standard' && subtotal >= config.checkout.freeShippingThreshold) {
+      return 0;
+    }
+    return method.price;
+  },
+
+  // Shipping and tax are worked out on the discounted amount
+  getTotals() {
+    const { subtotal, discount, lines, total: merchandise } = promotions.calculate();
+    const shipping = this.getShippingCost(this.getShippingMethod(), merchandise);
+    const tax = Math.round(merchandise * config.checkout.taxRate * 100) / 100;
+
+    return {
+      subtotal,
+      discount,
+      discounts: lines,
+      shipping,
+      tax,
+      total: Math.round((merchandise + shipping + tax) * 100) / 100
+    };
+  },
+
+  renderShippingMethods() {
+    const selected = this.getFormData().shippingMethod || config.checkout.shippingMethods[0].id;
+    const subtotal = promotions.calculate().total;
+
+    elements.shippingMethods.innerHTML = templates.html`${config.checkout.shippingMethods.map(method => {
+      const cost = this.getShippingCost(method, subtotal);
+      return templates.html`
+        <label class="shipping-method">
+          <input type="radio" name="shippingMethod" value="${method.id}" ${method.id === selected ? 'checked' : ''}>
+          <span class="shipping-method-details">
+            <span class="shipping-method-label">${i18n.t(`shipping.${method.id}`)}</span>
+            <span class="shipping-method-description">${i18n.t(`shipping.${method.id}.description`)}</span>
+          </span>
+          <span class="shipping-method-price">${cost === 0 ? i18n.t('checkout.free') : utils.formatCurrency(cost)}</span>
+        </label>
+      `;
+    })}`;
+  },
+
+  renderTotals() {
+    const totals = this.getTotals();
+
+    elements.checkoutTotals.innerHTML = templates.html`
+      <div class="checkout-total-row"><dt>${i18n.t('checkout.subtotal')}</dt><dd>${utils.formatCurrency(totals.subtotal)}</dd></div>
+      ${totals.discounts.map(line => templates.html`
+        <div class="checkout-total-row checkout-discount"><dt>${line.label}</dt><dd>&minus;${utils.formatCurrency(line.amount)}</dd></div>
+      `)}
+      <div class="checkout-total-row"><dt>${i18n.t('checkout.shipping')}</dt><dd>${totals.shipping === 0 ? i18n.t('checkout.free') : utils.formatCurrency(totals.shipping)}</dd></div>
+      <div class="checkout-total-row"><dt>${i18n.t('checkout.tax')}</dt><dd>${utils.formatCurrency(totals.tax)}</dd></div>
+      <div class="checkout-total-row checkout-grand-total"><dt>${i18n.t('checkout.total')}</dt><dd>${utils.formatCurrency(totals.total)}</dd></div>
+    `;
+  },
+
+  renderReview() {
+    const data = this.getFormData();
+    const method = this.getShippingMethod();
+    const cardDigits = data.cardNumber.replace(/\D/g, '');
+    const country = elements.checkoutForm.querySelector('[name="country"]').selectedOptions[0].textContent;
+
+    elements.checkoutReview.innerHTML = templates.html`
+      <div class="checkout-review-section">
+        <h4 class="checkout-review-title">${i18n.t('checkout.shipTo')}</h4>
+        <p>${data.fullName}<br>${data.address}<br>${data.city}, ${data.postalCode}<br>${country}</p>
+      </div>
+      <div class="checkout-review-section">
+        <h4 class="checkout-review-title">${i18n.t('checkout.delivery')}</h4>
+        <p>${i18n.t(`shipping.${method.id}`)} &middot; ${i18n.t(`shipping.${method.id}.description`)}</p>
+      </div>
+      <div class="checkout-review-section">
+        <h4 class="checkout-review-title">${i18n.t('checkout.payment')}</h4>
+        <p>${i18n.t('checkout.cardEnding', { digits: cardDigits.slice(-4) })}</p>
+      </div>
+      <ul class="checkout-review-items">
+        ${cartManager.getItems().map(item => {
+          const variantLabel = productManager.formatVariant(item.variant);
+          return templates.html`
+            <li class="checkout-review-item">
+              <span>${item.quantity} &times; ${item.name}${variantLabel ? ` (${variantLabel})` : ''}</span>
+              <span>${utils.formatCurrency(item.price * item.quantity)}</span>
+            </li>
+          `;
+        })}
+      </ul>
+    `;
+  },
+
+  setPaymentError(message) {
+    elements.checkoutPaymentError.textContent = message;
+    elements.checkoutPaymentError.classList.toggle('show', Boolean(message));
+  },
+
+  async placeOrder() {
+    const data = this.getFormData();
+
+    this.isProcessing = true;
+    elements.checkoutNext.disabled = true;
+    elements.checkoutBack.disabled = true;
+    elements.checkoutNext.textContent = i18n.t('checkout.processing');
+    this.setPaymentError('');
+
+    try {
+      // A price or stock change since the review step would charge a
+      // different total from the one shown
+      const changes = await cartManager.revalidate({ fresh: true, notify: false });
+      if (changes.length) {
+        this.isProcessing = false;
+        notifications.show(`${i18n.t('checkout.pricesChanged')} ${changes.join(' ')}`, 'warning', { duration: 10000 });
+
+        if (cartManager.getItems().length === 0) {
+          this.close();
+        } else {
+          this.refresh();
+        }
+        return;
+      }
+
+      const totals = this.getTotals();
+
+      // Charged in the currency the shopper saw
+      const result = await payments.charge({
+        amount: utils.convertCurrency(totals.total),
+        currency: state.currency,
+        card: {
+          name: data.cardName,
+          number: data.cardNumber.replace(/\D/g, ''),
+          expiry: data.cardExpiry,
+          cvc: data.cardCvc
+        }
+      });
+
+      if (!result.approved) {
+        this.isProcessing = false;
+        this.setPaymentError(result.message);
+        this.goToStep(this.steps.indexOf('payment'));
+        notifications.show(result.message, 'error');
+        return;
+      }
+
+      const order = {
+        number: `NOX-${utils.generateId().slice(-8).toUpperCase()}`,
+        transactionId: result.transactionId,
+        items: cartManager.getItems().map(item => ({ ...item })),
+        totals,
+        promoCode: totals.discounts.some(line => line.code) ? state.promoCode : null,
+        currency: state.currency,
+        rate: config.currency.rates[state.currency] || 1,
+        email: data.email,
+        shipping: {
+          fullName: data.fullName,
+          address: data.address,
+          city: data.city,
+          postalCode: data.postalCode,
+          country: data.country
+        },
+        shippingMethod: this.getShippingMethod().id,
+        cardLast4: data.cardNumber.replace(/\D/g, '').slice(-4),
+        status: 'confirmed',
+        createdAt: new Date().toISOString()
+      };
+
+      state.cart = [];
+      promotions.removeCode();
+      cartManager.sync();
+      orderHistory.save(order);
+      this.showConfirmation(order);
+      notifications.show(i18n.t('checkout.confirmed', { number: order.number }), 'success');
+      // Every `*` subscriber sees this, analytics and Nox.on included
+      events.emit('checkout:complete', {
+        order: {
+          number: order.number,
+          totals: order.totals,
+          items: order.items.map(({ id, sku, quantity }) => ({ id, sku, quantity }))
+        }
+      });
+    } catch (error) {
+      console.error('Checkout error:', error);
+      notifications.show(i18n.t('checkout.failed'), 'error');
+    } finally {
+      this.isProcessing = false;
+      elements.checkoutNext.disabled = false;
+      elements.checkoutBack.disabled = this.currentStep === 0;
+      elements.checkoutNext.textContent = this.getNextLabel();
+    }
+  },
+
+  showConfirmation(order) {
+    elements.checkoutOrderNumber.textContent = i18n.t('checkout.orderNumber', { number: order.number });
+    elements.checkoutOrderEmail.textContent = i18n.t('checkout.confirmationSent', { email: order.email });
+    elements.checkoutReceipt.setAttribute('data-order-number', order.number);
+    elements.checkoutForm.reset();
+    elements.checkoutForm.style.display = 'none';
+    elements.checkoutSteps.style.display = 'none';
+    elements.checkoutFooter.style.display = 'none';
+    elements.checkoutConfirmation.classList.add('active');
+    elements.checkoutDone.focus();
+  }
+};
+
+// ===== ORDER HISTORY =====
+// Placed orders are kept on this device in IndexedDB, keyed by order number
+const orderHistory = {
+  orders: [],
+  // Settles once the latest order has been written
+  saving: Promise.resolve(),
+
+  init() {
+    this.bindEvents();
+  },
+
+  // Checkout hands over the full order; the bus only carries a summary
+  save(order) {
+    this.saving = this.add(order);
+    return this.saving;
+  },
+
+  bindEvents() {
+    if (!elements.ordersModal) return;
+
+    elements.ordersButton.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        router.navigate('/orders');
+      }
+    });
+    elements.ordersClose.addEventListener('click', () => this.close());
+    elements.ordersOverlay.addEventListener('click', () => this.close());
+
+    elements.ordersContinue.addEventListener('click', () => {
+      router.navigate('/', { replace: true });
+      utils.scrollToElement(document.getElementById('products'), 80);
+    });
+
+    elements.ordersList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="reorder"]');
+      if (button) {
+        this.reorder(button.closest('[data-order-number]').getAttribute('data-order-number'));
+      }
+    });
+  },
+
+  // Only what history and receipts show; the card number is never kept
+  toRecord(order) {
+    return {
+      number: order.number,
+      status: order.status,
+      createdAt: order.createdAt,
+      email: order.email,
+      currency: order.currency,
+      rate: order.rate,
+      transactionId: order.transactionId,
+      promoCode: order.promoCode,
+      shipping: order.shipping,
+      shippingMethod: order.shippingMethod,
+      cardLast4: order.cardLast4,
+      totals: order.totals,
+      items: order.items.map(({ id, sku, name, image, variant, quantity, price }) => ({
+        id, sku, name, image, variant, quantity, price
+      }))
+    };
+  },
+
+  async add(order) {
+    try {
+      await database.put('orders', this.toRecord(order));
+    } catch (error) {
+      console.error('Error saving order:', error);
+      notifications.show(i18n.t('orders.saveError'), 'error');
+    }
+  },
+
+  async get(number) {
+    await this.saving;
+    return database.get('orders', number);
+  },
+
+  async load() {
+    await this.saving;
+    const orders = await database.getAll('orders');
+    this.orders = orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  },
+
+  // Amounts are stored in the base currency and shown in the one the
+  // order was paid in, at that day's rate
+  formatMoney(order, amount) {
+    return new Intl.NumberFormat(i18n.getLocaleTag(), {
+      style: 'currency',
+      currency: order.currency
+    }).format(Math.round(amount * order.rate * 100) / 100);
+  },
+
+  formatDate(date, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(i18n.getLocaleTag(), options).format(new Date(date));
+  },
+
+  getItemCount(order) {
+    return order.items.reduce((sum, item) => sum + item.quantity, 0);
+  },
+
+  getItemLabel(item) {
+    const variantLabel = productManager.formatVariant(item.variant);
+    return variantLabel ? `${item.name} (${variantLabel})` : item.name;
+  },
+
+  isOpen() {
+    return elements.ordersModal.classList.contains('active');
+  },
+
+  async open() {
+    navigation.closeMobileMenu();
+    elements.ordersModal.classList.add('active');
+    elements.ordersOverlay.classList.add('active');
+    elements.ordersButton.setAttribute('aria-expanded', 'true');
+    dialogManager.open(elements.ordersModal, { overlay: elements.ordersOverlay, onClose: () => this.close() });
+
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('Error loading orders:', error);
+      notifications.show(i18n.t('orders.loadError'), 'error');
+      return;
+    }
+
+    this.render();
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.ordersModal.classList.remove('active');
+    elements.ordersOverlay.classList.remove('active');
+    elements.ordersButton.setAttribute('aria-expanded', 'false');
+    dialogManager.close(elements.ordersModal);
+    router.exit('orders');
+  },
+
+  render() {
+    elements.ordersList.innerHTML = templates.html`${this.orders.map(order => templates.html`
+      <li class="order-card" data-order-number="${order.number}">
+        <div class="order-card-header">
+          <h3 class="order-number">${i18n.t('orders.number', { number: order.number })}</h3>
+          <span class="order-status">${i18n.t(`orders.status.${order.status}`)}</span>
+        </div>
+        <p class="order-meta">
+          ${this.formatDate(order.createdAt)} &middot; ${i18n.t('orders.itemCount', { count: this.getItemCount(order) })} &middot;
+          <strong>${this.formatMoney(order, order.totals.total)}</strong>
+        </p>
+        <ul class="order-items">
+          ${order.items.map(item => templates.html`
+            <li class="order-item">
+              <img class="order-item-image" src="${templates.url(item.image)}" alt="" loading="lazy">
+              <span>${item.quantity} &times; ${this.getItemLabel(item)}</span>
+            </li>
+          `)}
+        </ul>
+        <div class="order-actions">
+          <a class="btn btn-outline" href="#/orders/${encodeURIComponent(order.number)}">${i18n.t('orders.viewReceipt')}</a>
+          <button class="btn btn-primary" type="button" data-action="reorder">${i18n.t('orders.reorder')}</button>
+        </div>
+      </li>
+    `)}`;
+
+    elements.ordersEmpty.hidden = this.orders.length > 0;
+  },
+
+  // Items go back in at today's prices; quantities add to what's already
+  // in the cart and revalidation trims them to the stock left
+  async reorder(number) {
+    let order;
+    try {
+      order = await this.get(number);
+    } catch (error) {
+      console.error('Error loading order:', error);
+    }
+
+    if (!order) {
+      notifications.show(i18n.t('orders.loadError'), 'error');
+      return;
+    }
+
+    // Nothing is added unless today's prices can be checked (e.g. offline)
+    try {
+      await catalogProvider.getProductsBySku(order.items.map(item => item.sku));
+    } catch (error) {
+      console.error('Error checking reordered items:', error);
+      notifications.show(i18n.t('orders.reorderFailed'), 'error');
+      return;
+    }
+
+    const added = [];
+    order.items.forEach(({ sku, variant, quantity }) => {
+      const existing = cartManager.findItem(productManager.getLineId(sku, variant));
+
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        const line = cartManager.createLine({ sku, variant, quantity });
+        state.cart.push(line);
+        added.push(line);
+      }
+    });
+
+    await cartManager.revalidate();
+
+    // Products that are no longer sold aren't added, only reported
+    const unavailable = added.filter(line => line.status !== 'available');
+    if (unavailable.length) {
+      state.cart = state.cart.filter(line => !unavailable.includes(line));
+      cartManager.sync();
+    }
+
+    if (unavailable.length < order.items.length) {
+      notifications.show(i18n.t('orders.reordered', { number: order.number }), 'success');
+      router.navigate('/cart');
+    }
+  }
+};
+
+// Print-friendly receipt for one stored order
+const receiptView = {
+  order: null,
+
+  init() {
+    if (!elements.receiptModal) return;
+
+    elements.receiptClose.addEventListener('click', () => this.close());
+    elements.receiptOverlay.addEventListener('click', () => this.close());
+    elements.receiptPrint.addEventListener('click', () => window.print());
+    elements.receiptReorder.addEventListener('click', () => orderHistory.reorder(this.order.number));
+  },
+
+  isOpen() {
+    return elements.receiptModal.classList.contains('active');
+  },
+
+  async open(number) {
+    let order;
+    try {
+      order = await orderHistory.get(number);
+    } catch (error) {
+      console.error('Error loading order:', error);
+    }
+    if (!order) return false;
+
+    this.order = order;
+    this.render();
+    navigation.closeMobileMenu();
+
+    elements.receiptModal.classList.add('active');
+    elements.receiptOverlay.classList.add('active');
+    // The print stylesheet prints only the receipt while it's open
+    document.body.classList.add('receipt-open');
+    dialogManager.open(elements.receiptModal, { overlay: elements.receiptOverlay, onClose: () => this.close() });
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.receiptModal.classList.remove('active');
+    elements.receiptOverlay.classList.remove('active');
+    document.body.classList.remove('receipt-open');
+    dialogManager.close(elements.receiptModal);
+    router.exit('receipt');
+  },
+
+  getCountryName(code) {
+    try {
+      return new Intl.DisplayNames([i18n.getLocaleTag()], { type: 'region' }).of(code);
+    } catch (error) {
+      return code;
+    }
+  },
+
+  render() {
+    const { order } = this;
+    const { totals, shipping } = order;
+    const money = amount => orderHistory.formatMoney(order, amount);
+
+    elements.receiptContent.innerHTML = templates.html`
+      <header class="receipt-header">
+        <span class="brand-logo">NOX</span>
+        <div>
+          <p class="receipt-number">${i18n.t('orders.number', { number: order.number })}</p>
+          <p class="receipt-date">${orderHistory.formatDate(order.createdAt, { dateStyle: 'long', timeStyle: 'short' })}</p>
+          <p class="order-status">${i18n.t(`orders.status.${order.status}`)}</p>
+        </div>
+      </header>
+      <div class="receipt-details">
+        <div class="checkout-review-section">
+          <h3 class="checkout-review-title">${i18n.t('checkout.shipTo')}</h3>
+          <p>${shipping.fullName}<br>${shipping.address}<br>${shipping.city}, ${shipping.postalCode}<br>${this.getCountryName(shipping.country)}</p>
+        </div>
+        <div class="checkout-review-section">
+          <h3 class="checkout-review-title">${i18n.t('checkout.delivery')}</h3>
+          <p>${i18n.t(`shipping.${order.shippingMethod}`)}</p>
+        </div>
+        <div class="checkout-review-section">
+          <h3 class="checkout-review-title">${i18n.t('checkout.payment')}</h3>
+          <p>${i18n.t('checkout.cardEnding', { digits: order.cardLast4 })}<br>${i18n.t('orders.transaction', { id: order.transactionId })}</p>
+        </div>
+      </div>
+      <table class="receipt-items">
+        <thead>
+          <tr>
+            <th scope="col">${i18n.t('orders.item')}</th>
+            <th scope="col">${i18n.t('orders.quantity')}</th>
+            <th scope="col">${i18n.t('orders.price')}</th>
+            <th scope="col">${i18n.t('orders.lineTotal')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${order.items.map(item => templates.html`
+            <tr>
+              <td>${orderHistory.getItemLabel(item)}<br><span class="receipt-sku">${item.sku}</span></td>
+              <td>${item.quantity}</td>
+              <td>${money(item.price)}</td>
+              <td>${money(item.price * item.quantity)}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+      <dl class="checkout-totals receipt-totals">
+        <div class="checkout-total-row"><dt>${i18n.t('checkout.subtotal')}</dt><dd>${money(totals.subtotal)}</dd></div>
+        ${totals.discounts.map(line => templates.html`
+          <div class="checkout-total-row checkout-discount"><dt>${line.label}</dt><dd>&minus;${money(line.amount)}</dd></div>
+        `)}
+        <div class="checkout-total-row"><dt>${i18n.t('checkout.shipping')}</dt><dd>${totals.shipping === 0 ? i18n.t('checkout.free') : money(totals.shipping)}</dd></div>
+        <div class="checkout-total-row"><dt>${i18n.t('checkout.tax')}</dt><dd>${money(totals.tax)}</dd></div>
+        <div class="checkout-total-row checkout-grand-total"><dt>${i18n.t('checkout.total')}</dt><dd>${money(totals.total)}</dd></div>
+      </dl>
+      <p class="receipt-footer">${i18n.t('orders.receiptNote', { email: order.email })}</p>
+    `;
+  }
+};
+
+// ===== NOT FOUND VIEW =====
+const notFoundView = {
+  init() {
+    if (!elements.notFound) return;
+
+    elements.notFoundHome.addEventListener('click', () => {
+      router.navigate('/', { replace: true });
+    });
+    elements.notFoundOverlay.addEventListener('click', () => this.close());
+  },
+
+  isOpen() {
+    return elements.notFound.classList.contains('active');
+  },
+
+  open() {
+    navigation.closeMobileMenu();
+    elements.notFound.classList.add('active');
+    elements.notFoundOverlay.classList.add('active');
+    dialogManager.open(elements.notFound, { overlay: elements.notFoundOverlay, onClose: () => this.close() });
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+
+    elements.notFound.classList.remove('active');
+    elements.notFoundOverlay.classList.remove('active');
+    dialogManager.close(elements.notFound);
+    router.exit('notFound');
+  }
+};
+
+// ===== ROUTER =====
+// Hash-based so deep links work on static hosting. Paths start with "#/";
+// plain "#section" anchors are left to in-page navigation.
+const router = {
+  routes: [
+    { path: '/product/:id', view: 'product' },
+    { path: '/cart', view: 'cart' },
+    { path: '/wishlist', view: 'wishlist' },
+    { path: '/checkout', view: 'checkout' },
+    { path: '/compare/:ids', view: 'compare' },
+    { path: '/admin', view: 'admin' },
+    { path: '/orders', view: 'orders' },
+    { path: '/orders/:number', view: 'receipt' }
+  ],
+
+  // Each view's `open` may return false to fall through to the not-found view
+  views: {
+    product: {
+      async open({ id }, options) {
+        const product = await catalogProvider.getProduct(id);
+        if (!product) return false;
+        productDetail.open(product, options);
+      },
+      close: () => productDetail.close()
+    },
+    cart: {
+      open: () => cartManager.open(),
+      close: () => cartManager.close()
+    },
+    wishlist: {
+      open: () => wishlistManager.open(),
+      close: () => wishlistManager.close()
+    },
+    checkout: {
+      open: async () => {
+        // Deep links can land here before saved lines have been priced
+        await cartManager.ready;
+        checkoutManager.open();
+        // An empty cart refuses to check out; leave the route
+        if (!checkoutManager.isOpen()) {
+          router.exit('checkout');
+        }
+      },
+      close: () => checkoutManager.close()
+    },
+    compare: {
+      open: ({ ids }) => compareManager.open(ids.split(',')),
+      close: () => compareManager.close()
+    },
+    orders: {
+      open: () => orderHistory.open(),
+      close: () => orderHistory.close()
+    },
+    receipt: {
+      open: ({ number }) => receiptView.open(number),
+      close: () => receiptView.close()
+    },
+    admin: {
+      open: () => catalogAdmin.open(),
+      close: () => catalogAdmin.close()
+    },
+    notFound: {
+      open: () => notFoundView.open(),
+      close: () => notFoundView.close()
+    }
+  },
+
+  currentView: null,
+  currentPath: null,
+  resolveId: 0,
+  isExiting: false,
+
+  init() {
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
+    // Route links navigate through pushState so each entry keeps its scroll position
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href^="#/"]');
+      if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+
+      e.preventDefault();
+      this.navigate(link.getAttribute('href').substring(1));
+    });
+
+    window.addEventListener('popstate', (e) => {
+      const restoreScroll = !this.isExiting;
+      this.isExiting = false;
+
+      this.resolve().then(() => {
+        if (restoreScroll && e.state && typeof e.state.scrollY === 'number') {
+          window.scrollTo(0, e.state.scrollY);
+        }
+      });
+    });
+
+    // Hand-edited hashes don't always come with a popstate
+    window.addEventListener('hashchange', () => {
+      if (this.getPath() !== this.currentPath) {
+        this.resolve();
+      }
+    });
+
+    this.resolve();
   },
 
-  hideLoadingState() {
-    if (elements.loadMoreBtn) {
-      elements.loadMoreBtn.disabled = false;
-      elements.loadMoreBtn.textContent = 'Load More Products';
-    }
+  getPath() {
+    const hash = window.location.hash;
+    // Left encoded; `match` decodes each parameter once
+    return hash.startsWith('#/') ? hash.substring(1) : '';
   },
 
-  updateLoadMoreButton() {
-    // In a real app, you'd check if there are more products to load
-    // For demo purposes, we'll hide it after loading products twice
-    if (state.currentPage >= 2) {
-      elements.loadMoreBtn.style.display = 'none';
-    }
-  },
+  match(path) {
+    if (!path || path === '/') return null;
 
-  bindEvents() {
-    if (elements.loadMoreBtn) {
-      elements.loadMoreBtn.addEventListener('click', () => {
-        state.currentPage += 1;
-        this.loadProducts();
-      });
+    for (const route of this.routes) {
+      const pattern = new RegExp(`^${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}/?$`);
+      const match = path.match(pattern);
+
+      if (match) {
+        const params = {};
+        try {
+          Object.entries(match.groups || {}).forEach(([key, value]) => {
+            params[key] = decodeURIComponent(value);
+          });
+        } catch (error) {
+          // A malformed escape such as `%E0` can't name anything
+          return { view: 'notFound', params: {} };
+        }
+        return { view: route.view, params };
+      }
     }
-  }
-};
 
-// ===== FORM MANAGEMENT =====
-const formManager = {
-  init() {
-    this.bindEvents();
+    return { view: 'notFound', params: {} };
   },
 
-  bindEvents() {
-    if (elements.contactForm) {
-      elements.contactForm.addEventListener('submit', (e) => {
-        e.preventDefault();
-        this.handleFormSubmit();
-      });
-      
-      // Real-time validation
-      const inputs = elements.contactForm.querySelectorAll('input, textarea');
-      inputs.forEach(input => {
-        input.addEventListener('blur', () => {
-          this.validateField(input);
-        });
-        
-        input.addEventListener('input', utils.debounce(() => {
-          this.clearFieldError(input);
-        }, 300));
-      });
-    }
+  getIndex() {
+    return (history.state && history.state.index) || 0;
   },
 
-  handleFormSubmit() {
-    const formData = new FormData(elements.contactForm);
-    const data = Object.fromEntries(formData);
-    
-    // Validate all fields
-    const isValid = this.validateForm();
-    
-    if (isValid) {
-      this.submitForm(data);
+  navigate(path, { replace = false, viewOptions = {} } = {}) {
+    const hash = path && path !== '/' ? `#${path}` : '';
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    const index = this.getIndex();
+
+    if (replace) {
+      history.replaceState({ index }, '', url);
     } else {
-      themeManager.showToast('Please fix the errors and try again.', 'error');
+      // Remember where this entry was scrolled to before leaving it
+      history.replaceState({ ...history.state, index, scrollY: window.scrollY }, '');
+      history.pushState({ index: index + 1 }, '', url);
     }
+
+    return this.resolve(viewOptions);
   },
 
-  validateForm() {
-    const inputs = elements.contactForm.querySelectorAll('input[required], textarea[required]');
-    let isValid = true;
-    
-    inputs.forEach(input => {
-      if (!this.validateField(input)) {
-        isValid = false;
+  async resolve(viewOptions = {}) {
+    const path = this.getPath();
+    const match = this.match(path);
+    const resolveId = ++this.resolveId;
+
+    // Set before closing the other views so their close() doesn't exit again
+    this.currentPath = path;
+    this.currentView = match ? match.view : null;
+
+    Object.entries(this.views).forEach(([name, view]) => {
+      if (!match || name !== match.view) {
+        view.close();
       }
     });
-    
-    return isValid;
-  },
 
-  validateField(field) {
-    const value = field.value.trim();
-    const fieldName = field.name;
-    let isValid = true;
-    let errorMessage = '';
-    
-    // Required field validation
-    if (field.hasAttribute('required') && !value) {
-      isValid = false;
-      errorMessage = `${this.getFieldLabel(fieldName)} is required.`;
-    }
-    
-    // Email validation
-    if (fieldName === 'email' && value) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(value)) {
-        isValid = false;
-        errorMessage = 'Please enter a valid email address.';
-      }
-    }
-    
-    // Name validation
-    if (fieldName === 'name' && value && value.length < 2) {
-      isValid = false;
-      errorMessage = 'Name must be at least 2 characters long.';
-    }
-    
-    // Message validation
-    if (fieldName === 'message' && value && value.length < 10) {
-      isValid = false;
-      errorMessage = 'Message must be at least 10 characters long.';
-    }
-    
-    this.showFieldError(field, errorMessage);
-    return isValid;
-  },
+    if (!match) return;
 
-  showFieldError(field, message) {
-    const errorElement = document.getElementById(`${field.name}-error`);
-    
-    if (message) {
-      field.classList.add('error');
-      if (errorElement) {
-        errorElement.textContent = message;
-        errorElement.classList.add('show');
-      }
-    } else {
-      this.clearFieldError(field);
-    }
-  },
+    const opened = await this.views[match.view].open(match.params, viewOptions);
 
-  clearFieldError(field) {
-    field.classList.remove('error');
-    const errorElement = document.getElementById(`${field.name}-error`);
-    if (errorElement) {
-      errorElement.classList.remove('show');
+    if (opened === false && resolveId === this.resolveId) {
+      this.currentView = 'notFound';
+      this.views[match.view].close();
+      this.views.notFound.open();
     }
   },
 
-  getFieldLabel(fieldName) {
-    const labels = {
-      name: 'Name',
-      email: 'Email',
-      message: 'Message'
-    };
-    return labels[fieldName] || fieldName;
-  },
+  // Called by a view when the user closes it, so the URL follows
+  exit(view) {
+    if (this.currentView !== view) return;
 
-  async submitForm(data) {
-    const submitBtn = elements.contactForm.querySelector('button[type="submit"]');
-    const originalText = submitBtn.textContent;
-    
-    // Show loading state
-    submitBtn.disabled = true;
-    submitBtn.textContent = 'Sending...';
-    
-    try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Success
-      themeManager.showToast('Message sent successfully! We\'ll get back to you soon.', 'success');
-      elements.contactForm.reset();
-      
-    } catch (error) {
-      console.error('Form submission error:', error);
-      themeManager.showToast('Failed to send message. Please try again.', 'error');
-    } finally {
-      // Reset button state
-      submitBtn.disabled = false;
-      submitBtn.textContent = originalText;
+    this.currentView = null;
+    this.currentPath = '';
+
+    if (this.getIndex() > 0) {
+      this.isExiting = true;
+      history.back();
+    } else {
+      history.replaceState({ index: 0 }, '', `${window.location.pathname}${window.location.search}`);
     }
   }
 };
@@ -709,15 +6052,15 @@ const accessibility = {
   },
 
   setupKeyboardNavigation() {
-    // Escape key to close modals/menus
+    // Escape closes the topmost dialog, or the mobile menu when none is open
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
+      if (e.key === 'Escape' && !dialogManager.closeTop()) {
         navigation.closeMobileMenu();
       }
     });
     
     // Tab navigation for custom elements
-    const customButtons = document.querySelectorAll('.btn, .theme-toggle, .cart-button');
+    const customButtons = document.querySelectorAll('.btn, .theme-toggle, .wishlist-button, .cart-button');
     customButtons.forEach(button => {
       button.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
@@ -729,6 +6072,21 @@ const accessibility = {
   },
 
   setupFocusManagement() {
+    // Tab and Shift+Tab cycle inside the open dialog
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') {
+        dialogManager.trapFocus(e);
+      }
+    });
+
+    // Catch focus that reaches the page behind a dialog anyway
+    document.addEventListener('focusin', (e) => {
+      const layer = dialogManager.getTop();
+      if (layer && !dialogManager.contains(layer, e.target)) {
+        layer.element.focus();
+      }
+    });
+
     // Focus management for mobile menu
     const mobileMenuLinks = document.querySelectorAll('.nav-link');
     mobileMenuLinks.forEach(link => {
@@ -745,11 +6103,8 @@ const accessibility = {
   },
 
   setupAriaLabels() {
-    // Add aria-labels to interactive elements
-    const themeToggle = document.getElementById('theme-toggle');
-    if (themeToggle) {
-      themeToggle.setAttribute('aria-label', `Switch to ${state.theme === 'light' ? 'dark' : 'light'} mode`);
-    }
+    // Labels that depend on state are kept current by their owners
+    themeManager.updateToggle();
   },
 
   setupReducedMotion() {
@@ -798,7 +6153,7 @@ const performance = {
       
       img.addEventListener('error', () => {
         img.classList.add('error');
-        img.alt = 'Image failed to load';
+        img.alt = i18n.t('error.image');
       });
     });
   },
@@ -831,48 +6186,411 @@ const errorHandler = {
   setupGlobalErrorHandling() {
     window.addEventListener('error', (e) => {
       console.error('Global error:', e.error);
-      themeManager.showToast('Something went wrong. Please refresh the page.', 'error');
+      notifications.show(i18n.t('error.generic'), 'error');
     });
   },
 
   setupUnhandledRejections() {
     window.addEventListener('unhandledrejection', (e) => {
       console.error('Unhandled promise rejection:', e.reason);
-      themeManager.showToast('A network error occurred. Please check your connection.', 'error');
+      notifications.show(i18n.t('error.network'), 'error');
     });
   }
 };
 
-// ===== INITIALIZATION =====
-document.addEventListener('DOMContentLoaded', () => {
-  // Initialize all modules
-  themeManager.init();
-  navigation.init();
-  productManager.init();
-  formManager.init();
-  accessibility.init();
-  performance.init();
-  errorHandler.init();
-  loadingScreen.init();
-  
-  // Update cart count on load
-  productManager.updateCartCount();
-  
-  // Add loaded class to body for CSS animations
-  document.body.classList.add('loaded');
-  
-  console.log('Nox website initialized successfully!');
+// ===== ANALYTICS =====
+// Subscribes to every bus event and sends them in batches to the sink
+// named in `config.analytics`
+const analytics = {
+  sinks: {},
+  queue: [],
+  timer: null,
+  // Undelivered events kept for the next attempt
+  maxQueue: 200,
+
+  register(name, sink) {
+    this.sinks[name] = sink;
+  },
+
+  init() {
+    if (!config.analytics.sink) return;
+
+    if (!this.sinks[config.analytics.sink]) {
+      console.warn('Unknown analytics sink:', config.analytics.sink);
+      return;
+    }
+
+    events.on('*', (detail, type) => this.track(type, detail));
+
+    // Send whatever is left before the page goes away
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush({ beacon: true });
+      }
+    });
+  },
+
+  track(type, detail) {
+    this.queue.push({
+      type,
+      data: this.toPayload(detail),
+      path: window.location.hash || '#/',
+      timestamp: new Date().toISOString()
+    });
+
+    if (this.queue.length >= config.analytics.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), config.analytics.flushInterval);
+    }
+  },
+
+  // Products and cart lines are reduced to what reports need
+  toPayload(value) {
+    if (Array.isArray(value)) return value.map(entry => this.toPayload(entry));
+    if (!value || typeof value !== 'object') return value;
+
+    if ('id' in value && 'price' in value) {
+      const { id, sku, name, category, price, variant, quantity } = value;
+      return { id, sku, name, category, price, variant, quantity };
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, this.toPayload(entry)])
+    );
+  },
+
+  async flush(options = {}) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const batch = this.queue.splice(0);
+    if (batch.length === 0) return;
+
+    try {
+      await this.sinks[config.analytics.sink].send(batch, options);
+    } catch (error) {
+      console.error('Analytics error:', error);
+      this.queue = [...batch, ...this.queue].slice(-this.maxQueue);
+    }
+  }
+};
+
+analytics.register('console', {
+  send(batch) {
+    console.info('[analytics]', batch);
+  }
+});
+
+analytics.register('http', {
+  async send(batch, { beacon = false } = {}) {
+    const body = JSON.stringify({ events: batch });
+
+    // fetch may be cancelled while the page unloads; a beacon isn't
+    if (beacon && navigator.sendBeacon) {
+      navigator.sendBeacon(config.analytics.endpoint, new Blob([body], { type: 'application/json' }));
+      return;
+    }
+
+    const response = await fetch(config.analytics.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    });
+
+    if (!response.ok) {
+      throw new Error(`Analytics endpoint responded with ${response.status}`);
+    }
+  }
+});
+
+// ===== PUBLIC API =====
+// `window.Nox` is how partner widgets and scripts drive the store. Calls go
+// through the same managers as the UI, so stock limits, toasts and events
+// all apply, and results are copies rather than live state.
+const publicApi = {
+  // Handlers passed to Nox.on and the bus listeners wrapping them
+  listeners: [],
+
+  copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  },
+
+  // Events carry live state (`cart:change` passes state.cart itself), so
+  // outside handlers get a copy of each detail
+  subscribe(type, handler) {
+    const listener = (detail, eventType) => handler(this.copy(detail), eventType);
+    this.listeners.push({ type, handler, listener });
+    events.on(type, listener);
+    return () => this.unsubscribe(type, handler);
+  },
+
+  unsubscribe(type, handler) {
+    this.listeners = this.listeners.filter(entry => {
+      if (entry.type !== type || entry.handler !== handler) return true;
+
+      events.off(type, entry.listener);
+      return false;
+    });
+  },
+
+  // Options are checked against the product; width and color default to
+  // the first choice, as in the detail view. Null when something's invalid.
+  getVariant(product, { size, width, color } = {}) {
+    const variant = {};
+    const widths = product.widths || [];
+    const colors = (product.colors || []).map(option => option.name);
+
+    if (productManager.hasVariants(product)) {
+      if (!product.sizes.includes(size)) return null;
+      variant.size = size;
+    }
+
+    if (widths.length) {
+      if (width !== undefined && !widths.includes(width)) return null;
+      variant.width = width === undefined ? widths[0] : width;
+    }
+
+    if (colors.length) {
+      if (color !== undefined && !colors.includes(color)) return null;
+      variant.color = color === undefined ? colors[0] : color;
+    }
+
+    return variant;
+  },
+
+  toLine(item) {
+    return {
+      lineId: item.lineId,
+      productId: item.id,
+      sku: item.sku,
+      name: item.name,
+      variant: item.variant,
+      quantity: item.quantity,
+      price: item.price,
+      status: item.status
+    };
+  },
+
+  // Static catalogs are searched whole, APIs by what's been paged in
+  async getSearchable() {
+    if (!catalogProvider.products && !catalogProvider.isApi) {
+      await catalogProvider.fetchPage(1, state.productsPerPage);
+    }
+    return catalogProvider.products || state.products;
+  }
+};
+
+const Nox = Object.freeze({
+  version: 1,
+
+  // Event names `on` accepts; see `events.types` for each one's detail
+  events: Object.freeze(Object.keys(events.types)),
+
+  cart: Object.freeze({
+    // `Nox.cart.add('nox-runner-pro', { variant: { size: '9' }, quantity: 2 })`
+    // resolves to false for unknown products, missing or unknown options and
+    // quantities over the stock left
+    async add(productId, { variant = {}, quantity = 1 } = {}) {
+      if (!Number.isInteger(quantity) || quantity < 1) return false;
+
+      await cartManager.ready;
+      const product = await catalogProvider.getProduct(productId);
+      if (!product) return false;
+
+      const options = publicApi.getVariant(product, variant);
+      return options ? productManager.addToCart(product, options, quantity) : false;
+    },
+
+    // `lineId` comes from `list()`
+    remove(lineId) {
+      if (!cartManager.findItem(lineId)) return false;
+
+      cartManager.removeItem(lineId);
+      return true;
+    },
+
+    // Resolves once saved lines have been priced against the catalog
+    async list() {
+      await cartManager.ready;
+      return publicApi.copy(state.cart.map(item => publicApi.toLine(item)));
+    },
+
+    clear() {
+      cartManager.clearCart();
+    }
+  }),
+
+  catalog: Object.freeze({
+    // Matches and sorts like the products toolbar; prices are in the
+    // shopper's currency and `sort` takes the toolbar's values
+    async search(query = '', { category = '', minPrice = null, maxPrice = null, sort = 'featured' } = {}) {
+      const products = await publicApi.getSearchable();
+      const filters = { query: String(query).trim(), category, minPrice, maxPrice, sort };
+      return publicApi.copy(productFilters.apply([...products], filters));
+    },
+
+    async get(productId) {
+      return publicApi.copy(await catalogProvider.getProduct(productId));
+    }
+  }),
+
+  wishlist: Object.freeze({
+    // Resolves to whether the product is now in the wishlist, or null if
+    // there's no such product
+    async toggle(productId) {
+      const product = await catalogProvider.getProduct(productId);
+      if (!product) return null;
+
+      wishlistManager.toggle(product);
+      return wishlistManager.has(productId);
+    },
+
+    has(productId) {
+      return wishlistManager.has(productId);
+    },
+
+    list() {
+      return publicApi.copy(state.wishlist);
+    }
+  }),
+
+  theme: Object.freeze({
+    // One of `themeManager.preferences`; false for anything else
+    set(preference) {
+      if (!themeManager.preferences.includes(preference)) return false;
+
+      themeManager.setTheme(preference);
+      events.emit('theme:change', { theme: preference, resolved: themeManager.resolve() });
+      return true;
+    },
+
+    // `resolved` is the theme on screen, e.g. `dark` for `auto` at night
+    get() {
+      return { preference: state.theme, resolved: themeManager.resolve() };
+    }
+  }),
+
+  // `Nox.on('cart:change', ({ cart }) => ...)` returns a function that
+  // unsubscribes; `'*'` hears every event. Details are copies.
+  on(type, handler) {
+    return publicApi.subscribe(type, handler);
+  },
+
+  off(type, handler) {
+    publicApi.unsubscribe(type, handler);
+  }
 });
 
+// ===== INITIALIZATION =====
+const app = {
+  init() {
+    // Initialize all modules
+    storage.init();
+    i18n.init();
+    analytics.init();
+    themeManager.init();
+    navigation.init();
+    productFilters.init();
+    productManager.init();
+    productDetail.init();
+    cartManager.init();
+    wishlistManager.init();
+    reviewsManager.init();
+    compareManager.init();
+    recentlyViewed.init();
+    recommendations.init();
+    catalogAdmin.init();
+    formManager.init();
+    contactOutbox.init();
+    checkoutManager.init();
+    orderHistory.init();
+    receiptView.init();
+    notFoundView.init();
+    accessibility.init();
+    performance.init();
+    errorHandler.init();
+    loadingScreen.init();
+    router.init();
+
+    // Update cart count on load
+    productManager.updateCartCount();
+
+    // Add loaded class to body for CSS animations
+    document.body.classList.add('loaded');
+
+    console.log('Nox website initialized successfully!');
+  }
+};
+
 // ===== SERVICE WORKER REGISTRATION =====
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
-      .then(registration => {
-        console.log('SW registered: ', registration);
-      })
-      .catch(registrationError => {
-        console.log('SW registration failed: ', registrationError);
-      });
-  });
-}
+const serviceWorker = {
+  isReloading: false,
+
+  init() {
+    if (!('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+      // Relative so the worker's scope follows the site's base path
+      navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+          console.log('SW registered: ', registration);
+          this.watchForUpdates(registration);
+        })
+        .catch(registrationError => {
+          console.log('SW registration failed: ', registrationError);
+        });
+    });
+
+    // The new worker took over after "Reload" was chosen
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.isReloading) {
+        window.location.reload();
+      }
+    });
+  },
+
+  watchForUpdates(registration) {
+    // A worker may already be waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.promptUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.promptUpdate(worker);
+        }
+      });
+    });
+
+    // Long-lived tabs check for new deploys every hour; offline, the check
+    // just fails until the next one
+    setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+  },
+
+  promptUpdate(worker) {
+    notifications.show(i18n.t('update.available'), 'info', {
+      duration: 0,
+      action: {
+        label: i18n.t('update.reload'),
+        onClick: () => {
+          this.isReloading = true;
+          worker.postMessage({ type: 'SKIP_WAITING' });
+        }
+      }
+    });
+  }
+};
+
+// ===== BOOT =====
+// Everything above only defines modules. The ES module build
+// (tools/build-module.js) stops at this marker, so importing it doesn't
+// start the page.
+document.addEventListener('DOMContentLoaded', () => app.init());
+serviceWorker.init();
+window.Nox = Nox;
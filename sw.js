@@ -1,48 +1,219 @@
 // Service Worker for Nox Website
-const CACHE_NAME = 'nox-v1.0.0';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/script.js',
-  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
-];
+importScripts('build-manifest.js');
+
+const { version, precache } = self.BUILD_MANIFEST;
+const APP_CACHE = `nox-app-${version}`;
+const IMAGE_CACHE = 'nox-images';
+const IMAGE_CACHE_LIMIT = 60;
+const OFFLINE_URL = 'offline.html';
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const OUTBOX_SYNC_TAG = 'contact-outbox';
+// Only these navigations are the app shell
+const SHELL_URLS = ['./', 'index.html'].map(path => new URL(path, self.location).href);
+// Static data files answer every query string (`products.json?page=2`) the same
+const DATA_URLS = precache.filter(path => path.endsWith('.json')).map(path => new URL(path, self.location).href);
 
 // Install event
 self.addEventListener('install', event => {
+  // No skipWaiting here: the page asks the user before switching versions
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
-  );
-});
-
-// Fetch event
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request);
-      }
-    )
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll(precache))
   );
 });
 
 // Activate event
 self.addEventListener('activate', event => {
+  const currentCaches = [APP_CACHE, IMAGE_CACHE];
+
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
+    caches.keys()
+      .then(cacheNames => Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName.startsWith('nox-') && !currentCaches.includes(cacheName)) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
-      );
-    })
+      ))
+      .then(() => self.clients.claim())
   );
 });
+
+// Message event
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Fetch event
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET') return;
+
+  // The page wants current data (prices checked before checkout), so no
+  // cached copy may answer
+  if (request.cache === 'no-store') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirstImage(request));
+  } else if (DATA_URLS.includes(url.origin + url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request, url.origin + url.pathname));
+  } else if (url.origin === self.location.origin || RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// Sync event
+self.addEventListener('sync', event => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(deliverOutbox());
+  }
+});
+
+// Send contact messages the page queued in IndexedDB while offline.
+// Throwing leaves the sync pending so the browser retries later.
+async function deliverOutbox() {
+  const db = await openDatabase();
+  if (!db.objectStoreNames.contains('outbox')) {
+    db.close();
+    return;
+  }
+
+  try {
+    await sendEntries(db);
+  } finally {
+    db.close();
+  }
+}
+
+async function sendEntries(db) {
+  const entries = await storeRequest(db, 'readonly', store => store.getAll());
+  let delivered = 0;
+  let dropped = 0;
+
+  for (const entry of entries) {
+    const response = await fetch(entry.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: JSON.stringify(entry.message)
+    });
+
+    if (response.status >= 500) {
+      throw new Error(`Outbox delivery failed with status ${response.status}`);
+    }
+
+    // Same rule as the page: any other refusal can't be fixed from here,
+    // so the message is dropped and the page tells the shopper
+    await storeRequest(db, 'readwrite', store => store.delete(entry.id));
+    if (response.ok) {
+      delivered += 1;
+    } else {
+      dropped += 1;
+    }
+  }
+
+  if (delivered > 0 || dropped > 0) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => {
+      if (delivered > 0) client.postMessage({ type: 'OUTBOX_DELIVERED', count: delivered });
+      if (dropped > 0) client.postMessage({ type: 'OUTBOX_DROPPED', count: dropped });
+    });
+  }
+}
+
+// Opens the page's database at whatever version it is on. The page owns
+// the schema, so an upgrade here means it doesn't exist yet and is aborted.
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('nox');
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function storeRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('outbox', mode);
+    const request = operation(transaction.objectStore('outbox'));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Pages: fresh HTML when online, the cached shell or offline page when not
+async function networkFirstPage(request) {
+  const cache = await caches.open(APP_CACHE);
+
+  try {
+    const response = await fetch(request);
+    const url = new URL(request.url);
+    // Any other page, or an error page, must not replace the shell
+    if (response.ok && SHELL_URLS.includes(url.origin + url.pathname)) {
+      cache.put('index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match('index.html')) ||
+      cache.match(OFFLINE_URL);
+  }
+}
+
+// App files: answer from cache immediately and refresh it in the background.
+// `cacheKey` lets several URLs share one entry.
+async function staleWhileRevalidate(request, cacheKey = request) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(cacheKey);
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(cacheKey, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}
+
+// Product images rarely change; keep the most recent ones around
+async function cacheFirstImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    // Cross-origin images come back opaque but are still usable in <img>
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(request, response.clone());
+      trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT);
+    }
+    return response;
+  } catch (error) {
+    return new Response('', { status: 503, statusText: 'Offline' });
+  }
+}
+
+// Drop the oldest entries once a cache grows past its limit
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+
+  if (keys.length > maxEntries) {
+    await Promise.all(
+      keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key))
+    );
+  }
+}
@@ -0,0 +1,35 @@
+// Builds dist/nox.mjs: locales.js and script.js as one ES module with every
+// top-level module (`state`, `cartManager`, `Nox`...) as a named export, for
+// bundling into other apps or testing managers under jsdom.
+//
+//   node tools/build-module.js
+//
+// script.js is taken up to its BOOT section, so importing the build defines
+// the modules without starting the page; call `app.init()` to boot it.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const BOOT_MARKER = '// ===== BOOT =====';
+
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+const script = read('script.js');
+const bootIndex = script.indexOf(BOOT_MARKER);
+if (bootIndex === -1) {
+  throw new Error(`script.js has no "${BOOT_MARKER}" section`);
+}
+
+const source = script.slice(0, bootIndex).trim();
+const names = ['translations', ...Array.from(source.matchAll(/^const (\w+) =/gm), match => match[1])];
+
+const output = [
+  '// Generated by tools/build-module.js from locales.js and script.js; do not edit.',
+  read('locales.js').trim(),
+  source,
+  `export {\n  ${names.join(',\n  ')}\n};\n`
+].join('\n\n');
+
+fs.mkdirSync(path.join(root, 'dist'), { recursive: true });
+fs.writeFileSync(path.join(root, 'dist', 'nox.mjs'), output);
+console.log(`Wrote dist/nox.mjs with ${names.length} exports`);